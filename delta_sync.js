@@ -1,16 +1,20 @@
 // delta_sync.js
 // ----------------
-// Incremental delta-sync orchestrator (delete + recreate strategy).
-
-const path = require('path');
+// Incremental delta-sync orchestrator (update in place; delete + recreate
+// only when the previous target page is gone).
 
 require('dotenv').config();
 const minimist               = require('minimist');
 const { getTasksFromDBA }     = require('./services/fetch_tasks');
-const { writeToDBB }          = require('./services/write_task');
-const LINKS_DIR = path.resolve(__dirname, './links');
+const { writeToDBB, updateInDBB } = require('./services/write_task');
+const fetchTarget             = require('./delta_sync/fetch_target');
+const { stateDir }            = require('./services/state_dirs');
+const LINKS_DIR = stateDir('links');
 const transform                = require('./transformations/task_transformer');
-const LinkStore = require('./services/link_store');
+const createLinkStore = require('./services/create_link_store');
+const { CorruptLinkError } = require('./services/link_store');
+const { logDropReport }      = require('./services/block_sanitizer');
+const { RunLock, RunLockLostError } = require('./services/run_lock');
 
 const notion                  = require('./services/notion_client');
 const logger                  = require('./logging/logger');
@@ -42,7 +46,14 @@ const TASK_MAP     = require('./transformations/apt_tasks_map');
 const LINK_TYPE    = 'apt_tasks_live';
 
 
-const linkStore = new LinkStore(LINKS_DIR, logger);
+const linkStore = createLinkStore(LINKS_DIR, logger);
+const runLock   = new RunLock({
+    dir: stateDir('locks'),
+    linkType: LINK_TYPE,
+    targetDbId: TARGET_DB_ID,
+    logger: log,
+    jobId
+});
 
 
 // ---------- helpers -------------------------------------------------
@@ -62,228 +73,290 @@ async function archivePageIfExists(pageId) {
 
 // ---------- main loop ----------------------------------------------
 void (async () => {
-    const { dryRun, force, onlyId } = config;
-    const runtimeStart = new Date();
-    runtimeStart.setSeconds(0, 0); // floor to start of minute
-    runtimeStart.setMinutes(runtimeStart.getMinutes() - 1); // subtract one minute as grace period
-    log.trace('↪️ Entered main delta sync runtime');
-
-    log.trace('Fetching tasks from source DB');
-    // Preload all source pages for metrics
-    const allPages = [];
-    for await (const p of getTasksFromDBA(SOURCE_DB_ID)) {
-      allPages.push(p);
-      log.trace({ pageId: p.id }, 'Fetched task page from source');
+    if (!(await runLock.acquire())) {
+        process.exitCode = 1;
+        return;
     }
 
-    log.trace('Filtering eligible pages based on last edited time and existing links');
-    const eligiblePages = allPages.filter(p => {
-      if (onlyId && onlyId !== p.id) return false;
-      const existingLink = linkStore.load(p.id, LINK_TYPE).catch(() => null);
-      return !existingLink || force || new Date(p.last_edited_time) >= new Date(existingLink.syncedAt || 0);
-    });
-
-    const totalPages = eligiblePages.length;
-
-    let existingCount = 0;
-    let updateCount = 0;
-    for (const p of allPages) {
-      const existingLink = await linkStore.load(p.id, LINK_TYPE).catch(() => null);
-      if (existingLink) {
-        existingCount++;
-        const lastEdited = new Date(p.last_edited_time);
-        if (lastEdited > new Date(existingLink.syncedAt || 0)) {
-          updateCount++;
+    try {
+        const { dryRun, force, onlyId } = config;
+        const runtimeStart = new Date();
+        runtimeStart.setSeconds(0, 0); // floor to start of minute
+        runtimeStart.setMinutes(runtimeStart.getMinutes() - 1); // subtract one minute as grace period
+        log.trace('↪️ Entered main delta sync runtime');
+
+        log.trace('Fetching tasks from source DB');
+        // Preload all source pages for metrics
+        const allPages = [];
+        for await (const p of getTasksFromDBA(SOURCE_DB_ID)) {
+          allPages.push(p);
+          log.trace({ pageId: p.id }, 'Fetched task page from source');
         }
-      }
-    }
-    const firstTimeSyncCount = totalPages - existingCount;
-
-    log.info({ event: 'sync_started', totalPages, existingCount, firstTimeSyncCount, updateCount }, '🔍 Pre-sync summary');
-
-    log.info(`▶️  Delta sync (dryRun=${dryRun}, force=${force})`);
-
-    log.trace({ count: eligiblePages.length }, 'Beginning delta sync loop');
-
-    let updated = 0, skipped = 0, failed = 0;
-    let fatalErrorsInARow = 0;
-    let totalFatalErrors = 0;
-    let processed = 0;
-
-    for (const page of eligiblePages) {
-        log.info(`Processing page ${processed}/${totalPages}: ${page.id}`);
-        const sourceId = page.id;
-        log.trace({ sourceId }, 'Entered sync loop for page');
 
-        if (onlyId && onlyId !== sourceId) continue;
-
-        const lastEdited = new Date(page.last_edited_time);
-        const existing   = await linkStore.load(sourceId, LINK_TYPE).catch(() => null);
-
-        log.debug(`Evaluating page ${sourceId}: lastEdited=${lastEdited.toISOString()}, existingSyncedAt=${existing?.syncedAt}`);
-
-        const needsSync =
-            force ||
-            !existing ||
-            lastEdited > new Date(existing.syncedAt || 0);
-
-        if (!needsSync) {
-            log.debug({ event: 'page_skipped', sourceId }, `No sync needed for ${sourceId}`);
-            skipped++;
-            continue;
+        log.trace('Filtering eligible pages based on last edited time and existing links');
+        // drift is re-checked per page in the main loop
+        const eligiblePages = allPages.filter(p => !onlyId || onlyId === p.id);
+
+        const totalPages = eligiblePages.length;
+
+        let existingCount = 0;
+        let updateCount = 0;
+        let corruptCount = 0;
+        for (const p of allPages) {
+          const existingLink = await linkStore.loadIfExists(p.id, LINK_TYPE).catch(err => {
+            if (!(err instanceof CorruptLinkError)) throw err;
+            corruptCount++;
+            return null;
+          });
+          if (existingLink) {
+            existingCount++;
+            const lastEdited = new Date(p.last_edited_time);
+            if (lastEdited > new Date(existingLink.syncedAt || 0)) {
+              updateCount++;
+            }
+          }
         }
+        const firstTimeSyncCount = totalPages - existingCount;
+
+        log.info({ event: 'sync_started', totalPages, existingCount, firstTimeSyncCount, updateCount, corruptCount }, '🔍 Pre-sync summary');
+
+        log.info(`▶️  Delta sync (dryRun=${dryRun}, force=${force})`);
+
+        log.trace({ count: eligiblePages.length }, 'Beginning delta sync loop');
+
+        let updated = 0, skipped = 0, failed = 0;
+        let fatalErrorsInARow = 0;
+        let totalFatalErrors = 0;
+        let processed = 0;
+
+        for (const page of eligiblePages) {
+            // another run took the lock over – stop before it writes twice
+            if (runLock.lost) throw new RunLockLostError(runLock.key);
+            log.info(`Processing page ${processed}/${totalPages}: ${page.id}`);
+            const sourceId = page.id;
+            log.trace({ sourceId }, 'Entered sync loop for page');
+
+            if (onlyId && onlyId !== sourceId) continue;
+
+            const lastEdited = new Date(page.last_edited_time);
+            let existing;
+            try {
+                existing = await linkStore.loadIfExists(sourceId, LINK_TYPE);
+            } catch (err) {
+                if (!(err instanceof CorruptLinkError)) throw err;
+                // a corrupt link is NOT "never migrated" – syncing would duplicate the target
+                log.error({ event: 'link_corrupt', sourceId, err: err.message }, '🛑 Corrupt link – refusing to sync');
+                failed++;
+                processed++;
+                continue;
+            }
 
-        if (dryRun) {
-            log.info(`↻ (dry) Would resync ${sourceId}`);
-            continue;
-        }
+            log.debug(`Evaluating page ${sourceId}: lastEdited=${lastEdited.toISOString()}, existingSyncedAt=${existing?.syncedAt}`);
 
-        let newPage = null;
-        try {
-            // ---------- perform replace ----------------------------
+            const needsSync =
+                force ||
+                !existing ||
+                lastEdited > new Date(existing.syncedAt || 0);
 
-            const payload    = await transform(page, TASK_MAP, log);
-            log.trace(`Transformed payload for ${sourceId}: ${JSON.stringify(payload)}`);
+            if (!needsSync) {
+                log.debug({ event: 'page_skipped', sourceId }, `No sync needed for ${sourceId}`);
+                skipped++;
+                continue;
+            }
 
-            newPage    = await writeToDBB(payload, TARGET_DB_ID, log);
-            log.trace(`New Notion page created: ${newPage.id}`);
+            if (dryRun) {
+                log.info(`↻ (dry) Would resync ${sourceId}`);
+                continue;
+            }
 
-            // Construct history _before_ first save so the old targetId is captured
+            let newPage = null;
+            let linked  = false; // set once the link points at newPage; from then on it is kept
             const newHistory = [...(existing?.history || [])];
+            try {
+                const payload    = await transform(page, TASK_MAP, log, { targetDbId: TARGET_DB_ID });
+                log.trace(`Transformed payload for ${sourceId}: ${JSON.stringify(payload)}`);
+                // blocks the sanitizer drops or alters, kept on the link for editors
+                const dropReport = [];
+                const withReport = Array.isArray(payload.children) ? { dropReport } : {};
+
+                // ---------- update in place ----------------------------
+                const target = await fetchTarget(existing?.targetId, log);
+                if (target) {
+                    await updateInDBB(payload, target.id, log, { report: dropReport });
+                    await linkStore.save({
+                        ...existing,
+                        targetId: target.id,
+                        status:   'success',
+                        syncedAt: runtimeStart.toISOString(),
+                        sourcePageName: page.properties?.Name?.title?.[0]?.plain_text || '',
+                        sourcePageIcon: page.icon?.emoji || '',
+                        targetPageName: payload.properties?.Name?.title?.[0]?.plain_text || '',
+                        notes: '',
+                        ...withReport
+                    }, LINK_TYPE);
+                    logDropReport(log, dropReport);
+                    log.info({ event: 'page_synced', mode: 'update', sourceId, targetId: target.id }, `↻ Updated ${sourceId} → ${target.id} in place`);
+                    updated++;
+                    fatalErrorsInARow = 0;
+                    continue;
+                }
 
-            if (existing?.targetId) {
-                newHistory.push({
-                    targetId:  existing.targetId,
-                    syncedAt:  existing.syncedAt,
-                    deletedAt: null,                     // will be set after archive succeeds
-                    notes:     'Replaced due to drift'
-                });
-            }
+                // ---------- perform replace (target missing) -----------
+                newPage    = await writeToDBB(payload, TARGET_DB_ID, log, { report: dropReport });
+                log.trace(`New Notion page created: ${newPage.id}`);
+
+                // Construct history _before_ first save so the old targetId is captured
+                if (existing?.targetId) {
+                    newHistory.push({
+                        targetId:  existing.targetId,
+                        syncedAt:  existing.syncedAt,
+                        deletedAt: null,                     // will be set after archive succeeds
+                        notes:     'Replaced because target was missing'
+                    });
+                }
+
+                const link = {
+                    sourceId,
+                    targetId: newPage.id,
+                    status:   'success',
+                    syncedAt: runtimeStart.toISOString(),
+                    sourceDbId: SOURCE_DB_ID,
+                    sourceDbName: 'SM Tasks',
+                    targetDbId: TARGET_DB_ID,
+                    targetDbName: 'CENT Tasks',
+                    type: LINK_TYPE,
+                    sourcePageName: page.properties?.Name?.title?.[0]?.plain_text || '',
+                    sourcePageIcon: page.icon?.emoji || '',
+                    targetPageName: payload.properties?.Name?.title?.[0]?.plain_text || '',
+                    targetPageIcon: '',
+                    notes: '',
+                    history: newHistory,
+                    ...withReport
+                };
 
-            const link = {
-                sourceId,
-                targetId: newPage.id,
-                status:   'success',
-                syncedAt: runtimeStart.toISOString(),
-                sourceDbId: SOURCE_DB_ID,
-                sourceDbName: 'SM Tasks',
-                targetDbId: TARGET_DB_ID,
-                targetDbName: 'CENT Tasks',
-                type: LINK_TYPE,
-                sourcePageName: page.properties?.Name?.title?.[0]?.plain_text || '',
-                sourcePageIcon: page.icon?.emoji || '',
-                targetPageName: payload.properties?.Name?.title?.[0]?.plain_text || '',
-                targetPageIcon: '',
-                notes: '',
-                history: newHistory
-            };
-
-            await linkStore.save(link, LINK_TYPE);
-            log.info({ event: 'page_synced', sourceId, targetId: newPage.id }, `↻ Re-synced ${sourceId} → ${newPage.id}`);
-            updated++;
-            fatalErrorsInARow = 0;
-
-            if (existing?.targetId) {
-                log.debug(`Archiving existing page ${existing.targetId} for ${sourceId}`);
-                await archivePageIfExists(existing.targetId);
-
-                // update deletedAt timestamp in history
-                link.history[link.history.length - 1].deletedAt = new Date().toISOString();
                 await linkStore.save(link, LINK_TYPE);
-            }
-        } catch (err) {
-            failed++;
+                linked = true;
+                logDropReport(log, dropReport);
+                log.info({ event: 'page_synced', mode: 'recreate', sourceId, targetId: newPage.id }, `↻ Re-synced ${sourceId} → ${newPage.id}`);
+                updated++;
+                fatalErrorsInARow = 0;
+
+                if (existing?.targetId) {
+                    log.debug(`Archiving existing page ${existing.targetId} for ${sourceId}`);
+                    await archivePageIfExists(existing.targetId);
+
+                    // update deletedAt timestamp in history
+                    link.history[link.history.length - 1].deletedAt = new Date().toISOString();
+                    await linkStore.save(link, LINK_TYPE);
+                }
+            } catch (err) {
+                failed++;
+
+
+                // roll back a new page the link never pointed at; the link
+                // keeps the previous target, which is only archived after that
+                if (newPage?.id && !linked) {
+                    let deletedAt = null;
+                    try {
+                        log.info('archiving page')
+                        await archivePageIfExists(newPage.id);
+                        deletedAt = new Date().toISOString();
+                    } catch (e) {
+                        log.warn({ sourceId, err: e.message }, 'Rollback archive failed');
+                    }
+                    newHistory.push({
+                        targetId:  newPage.id,
+                        syncedAt:  runtimeStart.toISOString(),
+                        deletedAt,
+                        notes:     `Rolled back: ${err.message}`
+                    });
+                }
 
+                fatalErrorsInARow++;
+                totalFatalErrors++;
+
+                const shouldDeferRatioCheck = processed < 10;
+                const fatalErrorRate = totalFatalErrors / (updated + skipped + failed);
+                const shouldExit = fatalErrorsInARow >= 3 ||
+                                   totalFatalErrors >= 50 ||
+                                   (!shouldDeferRatioCheck && fatalErrorRate > 0.2);
+
+                const failLink = {
+                    sourceId,
+                    targetId: linked ? newPage.id : (existing?.targetId || null),
+                    status: 'fail',
+                    syncedAt: runtimeStart.toISOString(),
+                    sourceDbId: SOURCE_DB_ID,
+                    sourceDbName: 'SM Tasks',
+                    targetDbId: TARGET_DB_ID,
+                    targetDbName: 'CENT Tasks',
+                    type: LINK_TYPE,
+                    sourcePageName: page.properties?.Name?.title?.[0]?.plain_text || '',
+                    sourcePageIcon: page.icon?.emoji || '',
+                    targetPageName: '',
+                    targetPageIcon: '',
+                    notes: err.message,
+                    history: newHistory
+                };
+                await linkStore.save(failLink, LINK_TYPE);
+                log.error({ event: 'page_failed', sourceId, err: err.message }, 'Delta‑sync failed');
+
+                if (config.strictMode) {
+                    log.error({ sourceId, err: err.message }, 'Strict mode enabled — rethrowing fatal error to crash process');
+                    throw err;
+                }
 
-            if (newPage?.id) {
-                try {
-                    log.info('archiving page')
-                    await archivePageIfExists(newPage.id);
-                } catch (e) {
-                    log.warn({ sourceId, err: e.message }, 'Rollback archive failed');
+                if (shouldExit) {
+                    log.error(`❌ Exiting early due to fatal error threshold: ${fatalErrorsInARow} in a row, ${totalFatalErrors} total, ${Math.round(fatalErrorRate * 100)}% rate`);
+                    break;
                 }
-            }
 
-            fatalErrorsInARow++;
-            totalFatalErrors++;
-
-            const shouldDeferRatioCheck = processed < 10;
-            const fatalErrorRate = totalFatalErrors / (updated + skipped + failed);
-            const shouldExit = fatalErrorsInARow >= 3 ||
-                               totalFatalErrors >= 50 ||
-                               (!shouldDeferRatioCheck && fatalErrorRate > 0.2);
-
-            const failLink = {
-                sourceId,
-                targetId: newPage?.id || null,
-                status: 'fail',
-                syncedAt: runtimeStart.toISOString(),
-                sourceDbId: SOURCE_DB_ID,
-                sourceDbName: 'SM Tasks',
-                targetDbId: TARGET_DB_ID,
-                targetDbName: 'CENT Tasks',
-                type: LINK_TYPE,
-                sourcePageName: page.properties?.Name?.title?.[0]?.plain_text || '',
-                sourcePageIcon: page.icon?.emoji || '',
-                targetPageName: '',
-                targetPageIcon: '',
-                notes: err.message,
-                history: existing?.history || []
-            };
-            await linkStore.save(failLink, LINK_TYPE);
-            log.error({ event: 'page_failed', sourceId, err: err.message }, 'Delta‑sync failed');
-
-            if (config.strictMode) {
-                log.error({ sourceId, err: err.message }, 'Strict mode enabled — rethrowing fatal error to crash process');
-                throw err;
+                continue;
             }
+        }
 
-            if (shouldExit) {
-                log.error(`❌ Exiting early due to fatal error threshold: ${fatalErrorsInARow} in a row, ${totalFatalErrors} total, ${Math.round(fatalErrorRate * 100)}% rate`);
-                break;
+        if (runLock.lost) throw new RunLockLostError(runLock.key);
+        log.trace('Initiating orphan cleanup phase');
+        // ── 4. Orphan Cleanup ─────────────────────────────────────────────
+        const sourceIdSet = new Set(allPages.map(p => p.id));
+        const allLinks = await linkStore.loadAll(LINK_TYPE).catch(() => []);
+        const orphanedLinks = allLinks.filter(link => {
+            return link.status === 'success' && !sourceIdSet.has(link.sourceId);
+        });
+
+        log.info({ count: orphanedLinks.length }, '🔍 Found orphaned links to clean up');
+
+        log.trace({ count: orphanedLinks.length }, 'Looping through orphaned links');
+        for (const link of orphanedLinks) {
+            const targetId = link.targetId;
+            try {
+                await archivePageIfExists(targetId);
+                log.info({ event: 'orphan_archived', sourceId: link.sourceId, targetId }, `🗑 Archived orphaned target page ${targetId} from missing source ${link.sourceId}`);
+
+                const updatedLink = {
+                    ...link,
+                    status: 'archived',
+                    archivedAt: new Date().toISOString(),
+                    notes: 'Archived due to missing source',
+                    history: [...(link.history || []), {
+                        targetId: link.targetId,
+                        syncedAt: link.syncedAt,
+                        deletedAt: new Date().toISOString(),
+                        notes: 'Archived due to missing source'
+                    }]
+                };
+                await linkStore.save(updatedLink, LINK_TYPE);
+            } catch (err) {
+                log.warn({ event: 'orphan_archive_failed', sourceId: link.sourceId, targetId, err: err.message }, 'Failed to archive orphaned page');
             }
-
-            continue;
         }
-    }
 
-    log.trace('Initiating orphan cleanup phase');
-    // ── 4. Orphan Cleanup ─────────────────────────────────────────────
-    const sourceIdSet = new Set(allPages.map(p => p.id));
-    const allLinks = await linkStore.loadAll(LINK_TYPE).catch(() => []);
-    const orphanedLinks = allLinks.filter(link => {
-        return link.status === 'success' && !sourceIdSet.has(link.sourceId);
-    });
-
-    log.info({ count: orphanedLinks.length }, '🔍 Found orphaned links to clean up');
-
-    log.trace({ count: orphanedLinks.length }, 'Looping through orphaned links');
-    for (const link of orphanedLinks) {
-        const targetId = link.targetId;
-        try {
-            await archivePageIfExists(targetId);
-            log.info({ event: 'orphan_archived', sourceId: link.sourceId, targetId }, `🗑 Archived orphaned target page ${targetId} from missing source ${link.sourceId}`);
-
-            const updatedLink = {
-                ...link,
-                status: 'archived',
-                archivedAt: new Date().toISOString(),
-                notes: 'Archived due to missing source',
-                history: [...(link.history || []), {
-                    targetId: link.targetId,
-                    syncedAt: link.syncedAt,
-                    deletedAt: new Date().toISOString(),
-                    notes: 'Archived due to missing source'
-                }]
-            };
-            await linkStore.save(updatedLink, LINK_TYPE);
-        } catch (err) {
-            log.warn({ event: 'orphan_archive_failed', sourceId: link.sourceId, targetId, err: err.message }, 'Failed to archive orphaned page');
-        }
+        log.trace('Delta sync complete. Preparing final summary.');
+        const retries = notion.getRetryStats();
+        log.info({ event: 'sync_complete', updated, skipped, failed, retries }, `\nΔ‑sync summary: ${updated} updated, ${skipped} skipped, ${failed} failed, ${retries.retries} Notion retries`);
+    } finally {
+        await runLock.release();
     }
-
-    log.trace('Delta sync complete. Preparing final summary.');
-    log.info({ event: 'sync_complete', updated, skipped, failed }, `\nΔ‑sync summary: ${updated} updated, ${skipped} skipped, ${failed} failed`);
 })().catch(err => {
     logger.error({ err }, 'Fatal error in delta_sync');
     process.exit(1);
@@ -4,14 +4,14 @@
 const archivePage = require('./archive_page');
 
 module.exports = async function cleanupOrphans (
-    allPages,
+    sourceIds,
     linkStore,
     LINK_TYPE,
     logger
 ) {
     const log = logger.child({ module: 'cleanupOrphans' });
 
-    const existingSourceIds = new Set(allPages.map(p => p.id));
+    const existingSourceIds = new Set(sourceIds);
     const allLinks = await linkStore.loadAll(LINK_TYPE).catch(() => []);
 
     const orphans = allLinks.filter(
@@ -0,0 +1,29 @@
+// delta_sync/fetch_pages.js
+// Retrieves specific source pages by ID (used when resuming a run, so the
+// whole source DB does not have to be re-queried). Missing pages are skipped.
+
+const notion = require('../services/notion_client'); // shared singleton
+
+module.exports = async function fetchPages (pageIds, logger) {
+    const log = logger.child({ module: 'fetchPages' });
+
+    const pages   = [];
+    const missing = [];
+    for (const pageId of pageIds) {
+        try {
+            const page = await notion.pages.retrieve({ page_id: pageId });
+            if (page.archived || page.in_trash) {
+                missing.push(pageId);
+                continue;
+            }
+            pages.push(page);
+            log.trace({ pageId }, 'Fetched task page');
+        } catch (e) {
+            if (e.status !== 404) throw e;
+            log.warn(`⚠️ Source page ${pageId} no longer exists`);
+            missing.push(pageId);
+        }
+    }
+
+    return { pages, missing };
+};
@@ -1,9 +1,10 @@
 // delta_sync/fetch_source.js
-// Streams every page from SOURCE_DB_ID & returns them + runtimeStart.
+// Streams pages from SOURCE_DB_ID & returns them + runtimeStart.
+// Pass `query.filter` to fetch only a slice (e.g. edited since a watermark).
 
 const { getTasksFromDBA } = require('../services/fetch_tasks');
 
-module.exports = async function fetchSource (SOURCE_DB_ID, logger) {
+module.exports = async function fetchSource (SOURCE_DB_ID, logger, query = {}) {
     const runtimeStart = new Date();
     runtimeStart.setSeconds(0, 0);
     runtimeStart.setMinutes(runtimeStart.getMinutes() - 1); // grace period
@@ -12,7 +13,7 @@ module.exports = async function fetchSource (SOURCE_DB_ID, logger) {
     log.trace('Fetching tasks from source DB');
 
     const allPages = [];
-    for await (const p of getTasksFromDBA(SOURCE_DB_ID)) {
+    for await (const p of getTasksFromDBA(SOURCE_DB_ID, query)) {
         allPages.push(p);
         log.trace({ pageId: p.id }, 'Fetched task page');
     }
@@ -0,0 +1,22 @@
+// delta_sync/fetch_target.js
+// Resolves the live target page behind a link (null when missing/archived).
+
+const notion = require('../services/notion_client'); // shared singleton
+
+module.exports = async function fetchTarget (pageId, logger) {
+    if (!pageId) return null;
+    try {
+        const page = await notion.pages.retrieve({ page_id: pageId });
+        if (page.archived || page.in_trash) {
+            logger.warn(`⚠️ Target ${pageId} is archived`);
+            return null;
+        }
+        return page;
+    } catch (e) {
+        if (e.status === 404) {
+            logger.warn(`⚠️ Target ${pageId} missing`);
+            return null;
+        }
+        throw e;
+    }
+};
@@ -1,5 +1,8 @@
 // delta_sync/filter_eligible.js
-// Returns pages needing sync + summary stats.
+// Returns pages needing sync + summary stats. Pages whose link is corrupt are
+// held back (never treated as first-time syncs).
+
+const { CorruptLinkError } = require('../services/link_store');
 
 module.exports = async function filterEligible (
     allPages,
@@ -15,12 +18,23 @@ module.exports = async function filterEligible (
 
     let existingCount = 0;
     let updateCount   = 0;
+    let corruptCount  = 0;
 
     for (const page of allPages) {
         if (onlyId && page.id !== onlyId) continue;
 
-        const existingLink =
-            await linkStore.load(page.id, LINK_TYPE).catch(() => null);
+        let existingLink;
+        try {
+            existingLink = await linkStore.loadIfExists(page.id, LINK_TYPE);
+        } catch (err) {
+            if (!(err instanceof CorruptLinkError)) throw err;
+            corruptCount++;
+            log.error(
+                { event: 'link_corrupt', sourceId: page.id, err: err.message },
+                '🛑 Corrupt link – page held back until the link file is repaired'
+            );
+            continue;
+        }
 
         if (existingLink) existingCount++;
 
@@ -41,7 +55,8 @@ module.exports = async function filterEligible (
         totalPages:       eligiblePages.length,
         existingCount,
         firstTimeSync:    eligiblePages.length - updateCount,
-        updateCount
+        updateCount,
+        corruptCount
     };
 
     return { eligiblePages, summary };
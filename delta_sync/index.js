@@ -1,12 +1,17 @@
 // delta_sync/index.js
 // CLI entry-point / high-level orchestrator.
 
+const fs         = require('fs');
 const path       = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 const minimist   = require('minimist');
 
 const logger     = require('../logging/logger');              // unchanged
-const LinkStore  = require('../services/link_store');          // unchanged
+const createLinkStore = require('../services/create_link_store');
+const { RunLock, RunLockLostError } = require('../services/run_lock');
+const { stateDir } = require('../services/state_dirs');
+const notion     = require('../services/notion_client');
+const { FakeNotion } = require('../services/fake_notion');
 
 // Local modules (new)
 const TASK_MAP         = require('../transformations/apt_tasks_map');
@@ -14,75 +19,252 @@ const fetchSource      = require('./fetch_source');
 const filterEligible   = require('./filter_eligible');
 const syncTask         = require('./sync_task');
 const cleanupOrphans   = require('./cleanup_orphans');
+const fetchPages       = require('./fetch_pages');
+const RunManifest      = require('./run_manifest');
+const { loadWatermark, saveWatermark } = require('./watermark');
+const runPool          = require('./run_pool');
+const { provisionOptions } = require('../services/option_provisioner');
 
 // ---------- CLI & runtime config ----------
+// --resume <jobId> continues an interrupted run from its manifest in runs/
+// --fullScan forces a whole-DB query (otherwise only pages edited since the
+// last successful run are fetched, with a full scan every fullScanHours)
+// --concurrency <n> pages are processed at once (default 3)
+// --provisionOptions adds missing select options to the target DB first and
+// reports status options that need creating by hand
+// --fakeSeed <seed.json> runs against an in-memory FakeNotion built from the
+// seed (see services/fake_notion.js); needs SYNC_STATE_DIR so fake IDs never
+// reach the real links/
 const argv = minimist(process.argv.slice(2), {
-    boolean: ['strict', 'dryRun', 'force'],
-    default: { strict: true, dryRun: false, force: false }
+    boolean: ['strict', 'dryRun', 'force', 'fullScan', 'provisionOptions'],
+    string:  ['resume', 'fakeSeed'],
+    default: {
+        strict: true,
+        dryRun: false,
+        force: false,
+        fullScan: false,
+        provisionOptions: false,
+        fullScanHours: Number(process.env.DELTA_FULL_SCAN_HOURS) || 24,
+        concurrency: Number(process.env.DELTA_CONCURRENCY) || 3
+    }
 });
 
 const config = {
     dryRun:     argv.dryRun,
     force:      argv.force,
     onlyId:     argv.onlyId ?? null,
-    strictMode: argv.strict
+    strictMode: argv.strict,
+    resumeJobId: argv.resume || null,
+    fullScan:   argv.fullScan,
+    fullScanHours: Number(argv.fullScanHours),
+    provisionOptions: argv.provisionOptions,
+    concurrency: Math.max(1, Number(argv.concurrency) || 1)
 };
 
+if (argv.fakeSeed) {
+    if (!process.env.SYNC_STATE_DIR) {
+        logger.error('--fakeSeed needs SYNC_STATE_DIR pointing at a scratch state dir');
+        process.exit(1);
+    }
+    notion.useBackend(FakeNotion.fromSeed(JSON.parse(fs.readFileSync(path.resolve(argv.fakeSeed), 'utf-8'))));
+}
+
 const LINK_TYPE      = 'apt_tasks_live';
-const LINKS_DIR      = path.resolve(__dirname, '../links');
+const LINKS_DIR      = stateDir('links');
+const LOCKS_DIR      = stateDir('locks');
+const RUNS_DIR       = stateDir('runs');
 const SOURCE_DB_ID   = process.env.APT_DB_ID;
 const TARGET_DB_ID   = process.env.NOTION_CENT_DB_ID;
 
-const jobId = new Date().toISOString();
+const jobId = config.resumeJobId || new Date().toISOString();
 const log   = logger.child({ jobId });
 
 console.log('LINKS_DIR', LINKS_DIR);
 
-const linkStore = new LinkStore(LINKS_DIR, logger);
+const linkStore = createLinkStore(LINKS_DIR, logger);
+const runLock   = new RunLock({
+    dir: LOCKS_DIR,
+    linkType: LINK_TYPE,
+    targetDbId: TARGET_DB_ID,
+    logger: log,
+    jobId
+});
 
 // ---------- main orchestrator ----------
-(async () => {
-    // 1️⃣ fetch every page from the source DB
-    const { allPages, runtimeStart } =
-        await fetchSource(SOURCE_DB_ID, log);
-
-    // 2️⃣ decide which need syncing & gather metrics
-    const { eligiblePages, summary } =
-        await filterEligible(allPages, config, linkStore, LINK_TYPE, log);
-
-    log.info(summary, '🔍 Pre-flight summary');
-    log.info(`▶️  Delta sync (dryRun=${config.dryRun}, force=${config.force})`);
-
-    // 3️⃣ sync eligible pages (sequential)
-    const results = [];
-    for (const page of eligiblePages) {
-        const result = await syncTask(page, {
-            runtimeStart,
-            SOURCE_DB_ID,
-            TARGET_DB_ID,
-            LINK_TYPE,
-            config,
-            linkStore,
-            logger: log
-        }, TASK_MAP);
-        results.push(result);
+async function main() {
+    // 0️⃣ one run per link type + target DB
+    if (!(await runLock.acquire())) {
+        process.exitCode = 1;
+        return;
     }
 
-    // tally results
-    const updated = results.filter(r => r.status === 'updated').length;
-    const skipped = results.filter(r => r.status === 'skipped').length;
-    const failed  = results.filter(r => r.status === 'failed').length;
-
-    // 4️⃣ orphan cleanup
-    await cleanupOrphans(allPages, linkStore, LINK_TYPE, log);
-
-    // 5️⃣ final log + exit status
-    log.info(
-        { updated, skipped, failed },
-        `Δ-sync summary: ${updated} updated, ${skipped} skipped, ${failed} failed`
-    );
-    if (failed && config.strictMode) process.exitCode = 1;
-})().catch(err => {
-    log.error({ err }, 'Fatal error in delta_sync');
-    process.exit(1);
-});
\ No newline at end of file
+    let manifest = null;
+    try {
+        // 0️⃣ optional pre-flight: target options the map will write
+        if (config.provisionOptions) {
+            const report = await provisionOptions(TASK_MAP, {
+                sourceDbId: SOURCE_DB_ID,
+                targetDbId: TARGET_DB_ID,
+                dryRun:     config.dryRun,
+                logger:     log
+            });
+            if (report.manualStatus.length) {
+                log.warn(
+                    { event: 'options_missing', count: report.manualStatus.length },
+                    `✋ ${report.manualStatus.length} status option(s) missing in the target – pages using them will fail`
+                );
+            }
+        }
+
+        let sourceIds, eligiblePages, runtimeStart, fullScan;
+
+        if (config.resumeJobId) {
+            // 1️⃣+2️⃣ pick up the previous run's plan and finished pages
+            manifest = await RunManifest.load(RUNS_DIR, jobId);
+            if (manifest.data.status === 'complete') {
+                log.info({ event: 'sync_resume_noop' }, `Job ${jobId} already completed – nothing to resume`);
+                return;
+            }
+            Object.assign(config, {
+                dryRun: manifest.data.config.dryRun,
+                force:  manifest.data.config.force,
+                onlyId: manifest.data.config.onlyId
+            });
+            runtimeStart = manifest.runtimeStart; // keeps syncedAt consistent
+            sourceIds    = manifest.data.sourceIds;
+            fullScan     = manifest.data.fullScan;
+
+            const pendingIds = manifest.pendingIds();
+            const { pages, missing } = await fetchPages(pendingIds, log);
+            for (const id of missing) await manifest.record(id, 'skipped', 'source page no longer exists');
+            eligiblePages = pages;
+
+            await manifest.setStatus('running');
+            log.info(
+                {
+                    event:   'sync_resumed',
+                    done:    manifest.data.eligibleIds.length - pendingIds.length,
+                    pending: pendingIds.length,
+                    runtimeStart: runtimeStart.toISOString()
+                },
+                `⏯  Resuming job ${jobId}`
+            );
+        } else {
+            // 1️⃣ fetch pages edited since the watermark (or every page on a full scan)
+            const { watermark, lastFullScanAt } = await loadWatermark(RUNS_DIR, LINK_TYPE);
+            const fullScanDue = !lastFullScanAt ||
+                Date.now() - new Date(lastFullScanAt).getTime() > config.fullScanHours * 3600 * 1000;
+            fullScan = config.fullScan || config.force || Boolean(config.onlyId) || !watermark || fullScanDue;
+
+            const query = fullScan ? {} : {
+                filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: watermark } },
+                sorts:  [{ timestamp: 'last_edited_time', direction: 'ascending' }]
+            };
+            log.info({ event: 'source_query', fullScan, watermark, lastFullScanAt }, fullScan
+                ? '📚 Full scan of source DB'
+                : `📑 Incremental scan: pages edited since ${watermark}`);
+
+            const fetched = await fetchSource(SOURCE_DB_ID, log, query);
+            runtimeStart  = fetched.runtimeStart;
+            sourceIds     = fetched.allPages.map(p => p.id);
+
+            // 2️⃣ decide which need syncing & gather metrics
+            const filtered = await filterEligible(fetched.allPages, config, linkStore, LINK_TYPE, log);
+            eligiblePages  = filtered.eligiblePages;
+
+            manifest = await RunManifest.create(RUNS_DIR, {
+                jobId,
+                linkType:     LINK_TYPE,
+                sourceDbId:   SOURCE_DB_ID,
+                targetDbId:   TARGET_DB_ID,
+                runtimeStart: runtimeStart.toISOString(),
+                config:       { dryRun: config.dryRun, force: config.force, onlyId: config.onlyId },
+                fullScan,
+                sourceIds,
+                eligibleIds:  eligiblePages.map(p => p.id)
+            });
+
+            log.info(filtered.summary, '🔍 Pre-flight summary');
+        }
+
+        log.info(`▶️  Delta sync (dryRun=${config.dryRun}, force=${config.force}, concurrency=${config.concurrency})`);
+
+        // 3️⃣ sync eligible pages through a bounded worker pool
+        const total = eligiblePages.length;
+        await runPool(eligiblePages, config.concurrency, async (page, i) => {
+            // another run took the lock over – stop before it writes twice
+            if (runLock.lost) throw new RunLockLostError(runLock.key);
+            const pageLog = log.child({ page: `${i + 1}/${total}` });
+            pageLog.info(`▶ [${i + 1}/${total}] ${page.id}`);
+
+            let result;
+            try {
+                result = await syncTask(page, {
+                    runtimeStart,
+                    SOURCE_DB_ID,
+                    TARGET_DB_ID,
+                    LINK_TYPE,
+                    config,
+                    linkStore,
+                    logger: pageLog
+                }, TASK_MAP);
+            } catch (err) {
+                await manifest.record(page.id, 'failed', err);
+                throw err;
+            }
+            await manifest.record(page.id, result.status, result.err);
+            pageLog.info(`◀ [${i + 1}/${total}] ${page.id} → ${result.status}`);
+            return result;
+        });
+
+        // tally results (includes pages finished before a resume)
+        const outcomes = manifest.data.eligibleIds.map(id => manifest.outcomes.get(id)?.status);
+        const updated = outcomes.filter(s => s === 'updated').length;
+        const skipped = outcomes.filter(s => s === 'skipped').length;
+        const failed  = outcomes.filter(s => s === 'failed').length;
+
+        // 4️⃣ orphan cleanup – only a full scan knows which sources are gone
+        if (runLock.lost) throw new RunLockLostError(runLock.key);
+        if (fullScan) {
+            await cleanupOrphans(sourceIds, linkStore, LINK_TYPE, log);
+        } else {
+            log.debug('Incremental scan → skipping orphan cleanup');
+        }
+
+        // 5️⃣ final log + exit status
+        const retries = notion.getRetryStats();
+        log.info(
+            { event: 'sync_complete', updated, skipped, failed, retries },
+            `Δ-sync summary: ${updated} updated, ${skipped} skipped, ${failed} failed, ${retries.retries} Notion retries`
+        );
+        await manifest.setStatus('complete');
+
+        // advance the watermark only after a clean, real run
+        if (!failed && !config.dryRun && !config.onlyId) {
+            const prev = await loadWatermark(RUNS_DIR, LINK_TYPE);
+            await saveWatermark(RUNS_DIR, LINK_TYPE, {
+                watermark:      runtimeStart.toISOString(),
+                lastFullScanAt: fullScan ? runtimeStart.toISOString() : prev.lastFullScanAt
+            });
+        }
+        if (failed && config.strictMode) process.exitCode = 1;
+    } catch (err) {
+        if (manifest) {
+            await manifest.setStatus('failed').catch(() => {});
+            log.error({ event: 'sync_interrupted' }, `Resume with: node delta_sync/index.js --resume ${jobId}`);
+        }
+        throw err;
+    } finally {
+        await runLock.release();
+    }
+}
+
+// Run from the CLI; scripts/check_delta_sync.js loads the module and awaits main()
+if (require.main === module) {
+    main().catch(err => {
+        log.error({ err }, 'Fatal error in delta_sync');
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
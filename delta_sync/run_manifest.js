@@ -0,0 +1,111 @@
+// delta_sync/run_manifest.js
+// Persists what a run set out to do and what happened to each page, so an
+// interrupted run can be resumed with `--resume <jobId>`.
+//
+//   runs/<jobId>.json   – jobId, runtimeStart, config, sourceIds, eligibleIds, status
+//   runs/<jobId>.jsonl  – one { sourceId, status, at, err? } line per finished page
+//
+// Outcomes are appended rather than rewritten, so a crash loses at most the
+// line being written (a torn last line is ignored on load).
+
+const fs   = require('fs').promises;
+const path = require('path');
+
+// Pages with these outcomes are not revisited on resume; failures are retried.
+const DONE_STATUSES = new Set(['updated', 'skipped']);
+
+function fileBase(dir, jobId) {
+    return path.join(dir, jobId.replace(/[:/\\]/g, '-'));
+}
+
+class RunManifest {
+    constructor(dir, data, outcomes = new Map()) {
+        this.dir      = dir;
+        this.data     = data;
+        this.outcomes = outcomes;
+        this.base     = fileBase(dir, data.jobId);
+    }
+
+    /**
+     * Start a manifest for a fresh run.
+     * @param {string} dir
+     * @param {Object} data – { jobId, linkType, sourceDbId, targetDbId, runtimeStart, config, sourceIds, eligibleIds }
+     * @returns {Promise<RunManifest>}
+     */
+    static async create(dir, data) {
+        await fs.mkdir(dir, { recursive: true });
+        const manifest = new RunManifest(dir, {
+            ...data,
+            status:    'running',
+            createdAt: new Date().toISOString()
+        });
+        await manifest._writeHeader();
+        await fs.writeFile(`${manifest.base}.jsonl`, '', 'utf-8');
+        return manifest;
+    }
+
+    /**
+     * Load an existing manifest and its recorded outcomes.
+     * @param {string} dir
+     * @param {string} jobId
+     * @returns {Promise<RunManifest>}
+     */
+    static async load(dir, jobId) {
+        const base = fileBase(dir, jobId);
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(`${base}.json`, 'utf-8'));
+        } catch (err) {
+            throw new Error(`Cannot load run manifest for job ${jobId}: ${err.message}`);
+        }
+
+        const outcomes = new Map();
+        const lines = await fs.readFile(`${base}.jsonl`, 'utf-8').catch(() => '');
+        if (lines && !lines.endsWith('\n')) {
+            // terminate a torn last line so the next append starts clean
+            await fs.appendFile(`${base}.jsonl`, '\n', 'utf-8');
+        }
+        for (const line of lines.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                outcomes.set(entry.sourceId, entry);
+            } catch {
+                // torn write from the crash – that page simply counts as pending
+            }
+        }
+        return new RunManifest(dir, data, outcomes);
+    }
+
+    get runtimeStart() {
+        return new Date(this.data.runtimeStart);
+    }
+
+    /** Eligible pages that have not finished (never attempted or failed). */
+    pendingIds() {
+        return this.data.eligibleIds.filter(id => !DONE_STATUSES.has(this.outcomes.get(id)?.status));
+    }
+
+    /** Record one page's outcome (appends a line). */
+    async record(sourceId, status, err) {
+        const entry = { sourceId, status, at: new Date().toISOString() };
+        if (err) entry.err = err.message || String(err);
+        this.outcomes.set(sourceId, entry);
+        await fs.appendFile(`${this.base}.jsonl`, JSON.stringify(entry) + '\n', 'utf-8');
+    }
+
+    /** Mark the run as complete / failed / resumed. */
+    async setStatus(status) {
+        this.data.status = status;
+        this.data.updatedAt = new Date().toISOString();
+        await this._writeHeader();
+    }
+
+    async _writeHeader() {
+        const tmp = `${this.base}.json.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(this.data, null, 2), 'utf-8');
+        await fs.rename(tmp, `${this.base}.json`);
+    }
+}
+
+module.exports = RunManifest;
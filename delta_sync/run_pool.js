@@ -0,0 +1,30 @@
+// delta_sync/run_pool.js
+// Bounded-concurrency map: runs worker(item, index) with at most `concurrency`
+// items in flight. Throughput is still governed by the Notion limiter; this
+// only lets one page's transform / media / write overlap with another's.
+//
+// Results come back in input order regardless of completion order. After the
+// first rejection no new items start; in-flight ones settle, then it rethrows.
+
+module.exports = async function runPool (items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    let firstError = null;
+
+    async function lane() {
+        while (next < items.length && !firstError) {
+            const i = next++;
+            try {
+                results[i] = await worker(items[i], i);
+            } catch (err) {
+                firstError = firstError || err;
+            }
+        }
+    }
+
+    const lanes = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: lanes }, lane));
+
+    if (firstError) throw firstError;
+    return results;
+};
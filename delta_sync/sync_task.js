@@ -1,9 +1,12 @@
 // delta_sync/sync_task.js
-// Syncs ONE page: transform → write → link store → archive.
+// Syncs ONE page: transform → update in place (or write + archive) → link store.
 
 const transform   = require('../transformations/task_transformer');
-const { writeToDBB } = require('../services/write_task');
+const { writeToDBB, updateInDBB } = require('../services/write_task');
 const archivePage   = require('./archive_page');
+const fetchTarget   = require('./fetch_target');
+const { CorruptLinkError } = require('../services/link_store');
+const { logDropReport } = require('../services/block_sanitizer');
 
 module.exports = async function syncTask (page, ctx, taskMap) {
     const {
@@ -20,7 +23,15 @@ module.exports = async function syncTask (page, ctx, taskMap) {
     const sourceId   = page.id;
     const log        = logger.child({ module: 'syncTask', sourceId });
 
-    const existing = await linkStore.load(sourceId, LINK_TYPE).catch(() => null);
+    let existing;
+    try {
+        existing = await linkStore.loadIfExists(sourceId, LINK_TYPE);
+    } catch (err) {
+        if (!(err instanceof CorruptLinkError)) throw err;
+        // never fall through to "first sync" – that would duplicate the target
+        log.error({ event: 'link_corrupt', sourceId, err: err.message }, '🛑 Corrupt link – refusing to sync');
+        return { status: 'failed', sourceId, err };
+    }
     const lastEdited = new Date(page.last_edited_time);
     const needsSync  =
         config.force ||
@@ -38,66 +49,99 @@ module.exports = async function syncTask (page, ctx, taskMap) {
     }
 
     let newPage = null;
+    let linked  = false; // set once the link points at newPage; from then on it is kept
+    const history = [...(existing?.history || [])];
     try {
-        // transform & write
-        const payload = await transform(page, taskMap, log);
-        newPage       = await writeToDBB(payload, TARGET_DB_ID, log);
+        // transform
+        const payload = await transform(page, taskMap, log, { targetDbId: TARGET_DB_ID });
+        // blocks the sanitizer drops or alters, kept on the link for editors
+        const dropReport = [];
+        const withReport = Array.isArray(payload.children) ? { dropReport } : {};
+
+        // update in place when the previous target is still live
+        const target = await fetchTarget(existing?.targetId, log);
+        if (target) {
+            await updateInDBB(payload, target.id, log, { report: dropReport });
+            await linkStore.save(
+                {
+                    ...existing,
+                    targetId: target.id,
+                    status:   'success',
+                    syncedAt: runtimeStart.toISOString(),
+                    notes:    '',
+                    ...withReport
+                },
+                LINK_TYPE
+            );
+            logDropReport(log, dropReport);
+            log.info({ event: 'page_synced', mode: 'update', sourceId, targetId: target.id }, `✓ Updated ${sourceId} → ${target.id} in place`);
+            return { status: 'updated', sourceId };
+        }
+
+        // fallback: target missing → write a fresh page
+        newPage = await writeToDBB(payload, TARGET_DB_ID, log, { report: dropReport });
 
         // link history handling
-        const history = [...(existing?.history || [])];
         if (existing?.targetId) {
             history.push({
                 targetId:  existing.targetId,
                 syncedAt:  existing.syncedAt,
                 deletedAt: null,
-                notes:     'Replaced due to drift'
+                notes:     'Replaced because target was missing'
             });
         }
 
         // save link
-        await linkStore.save(
-            {
-                sourceId,
-                targetId: newPage.id,
-                status:   'success',
-                syncedAt: runtimeStart.toISOString(),
-                sourceDbId: SOURCE_DB_ID,
-                targetDbId: TARGET_DB_ID,
-                type: LINK_TYPE,
-                history
-            },
-            LINK_TYPE
-        );
+        const link = {
+            sourceId,
+            targetId: newPage.id,
+            status:   'success',
+            syncedAt: runtimeStart.toISOString(),
+            sourceDbId: SOURCE_DB_ID,
+            targetDbId: TARGET_DB_ID,
+            type: LINK_TYPE,
+            history,
+            ...withReport
+        };
+        await linkStore.save(link, LINK_TYPE);
+        linked = true;
 
-        // archive prior copy
+        // archive prior copy (no-op if already gone)
         if (existing?.targetId) {
-            await archivePage(existing.targetId);
+            await archivePage(existing.targetId, log);
             history[history.length - 1].deletedAt = new Date().toISOString();
-            await linkStore.save(
-                { ...existing, targetId: newPage.id, history },
-                LINK_TYPE
-            );
+            await linkStore.save(link, LINK_TYPE);
         }
 
-        log.info(`✓ Synced ${sourceId} → ${newPage.id}`);
+        logDropReport(log, dropReport);
+        log.info({ event: 'page_synced', mode: 'recreate', sourceId, targetId: newPage.id }, `✓ Synced ${sourceId} → ${newPage.id}`);
         return { status: 'updated', sourceId };
     } catch (err) {
         log.error({ err }, 'Sync failed');
 
-        // best-effort rollback
-        if (newPage?.id) await archivePage(newPage.id).catch(() => {});
+        // best-effort rollback of a new page the link never pointed at; the
+        // link keeps the previous target, which is only archived after that
+        if (newPage?.id && !linked) {
+            const archived = await archivePage(newPage.id, log).then(() => true, () => false);
+            history.push({
+                targetId:  newPage.id,
+                syncedAt:  runtimeStart.toISOString(),
+                deletedAt: archived ? new Date().toISOString() : null,
+                notes:     `Rolled back: ${err.message}`
+            });
+        }
 
         await linkStore.save(
             {
                 sourceId,
-                targetId: newPage?.id || null,
+                targetId: linked ? newPage.id : (existing?.targetId || null),
                 status:   'fail',
                 syncedAt: runtimeStart.toISOString(),
                 sourceDbId: SOURCE_DB_ID,
                 targetDbId: TARGET_DB_ID,
                 type: LINK_TYPE,
                 notes: err.message,
-                history: existing?.history || []
+                history
             },
             LINK_TYPE
         );
@@ -105,4 +149,4 @@ module.exports = async function syncTask (page, ctx, taskMap) {
         if (config.strictMode) throw err;
         return { status: 'failed', sourceId, err };
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,29 @@
+// delta_sync/watermark.js
+// Per-link-type sync watermark: the runtimeStart of the last successful run
+// (incremental queries fetch pages edited on/after it) and when the last full
+// scan happened (full scans are what make orphan detection possible).
+
+const fs   = require('fs').promises;
+const path = require('path');
+
+function fileFor(dir, linkType) {
+    return path.join(dir, `${linkType}.watermark.json`);
+}
+
+async function loadWatermark(dir, linkType) {
+    try {
+        return JSON.parse(await fs.readFile(fileFor(dir, linkType), 'utf-8'));
+    } catch {
+        return { watermark: null, lastFullScanAt: null };
+    }
+}
+
+async function saveWatermark(dir, linkType, state) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(dir, linkType);
+    const tmp  = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2), 'utf-8');
+    await fs.rename(tmp, file);
+}
+
+module.exports = { loadWatermark, saveWatermark };
@@ -9,12 +9,17 @@
 require('dotenv').config();
 const notion          = require('./services/notion_client');
 const logger          = require('./logging/logger');
-const linkStore       = require('./services/link_store');
+const createLinkStore = require('./services/create_link_store');
+const { CorruptLinkError } = require('./services/link_store');
+const { stateDir }    = require('./services/state_dirs');
 const transformTagPage = require('./transformations/tag_transformer');
 const { writeToDBB }  = require('./services/write_task');
 
 // ── CONFIG ─────────────────────────────────────────────────────────────────────
 const DEFAULT_LIMIT = 99;
+const LINKS_DIR     = stateDir('links');
+
+const linkStore = createLinkStore(LINKS_DIR, logger);
 
 // ── Environment / Target DB IDs ───────────────────────────────────────────────
 const GLOBAL_TAGS_DB_ID = process.env.GLOBAL_TAGS_DB_ID;
@@ -129,7 +134,14 @@ async function main() {
             const sourceId = rel.id;
 
             // 4a) Idempotency: skip if already migrated under "tags"
-            const existing = await linkStore.load(sourceId, 'tags').catch(() => null);
+            let existing;
+            try {
+                existing = await linkStore.loadIfExists(sourceId, 'tags');
+            } catch (err) {
+                if (!(err instanceof CorruptLinkError)) throw err;
+                logger.error(`   🛑 Corrupt link for related page ${sourceId} – not re-migrating: ${err.message}`);
+                continue;
+            }
             if (existing && existing.status === 'success') {
                 logger.info(`   ↩️  Skipping related page ${sourceId} (already migrated).`);
                 continue;
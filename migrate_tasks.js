@@ -7,7 +7,10 @@
 require('dotenv').config();
 const { getTasksFromDBA }      = require('./services/fetch_tasks');
 const writeToDBB               = require('./services/write_task').writeToDBB;
-const linkStore                = require('./services/link_store');
+const createLinkStore          = require('./services/create_link_store');
+const { CorruptLinkError }     = require('./services/link_store');
+const { stateDir }             = require('./services/state_dirs');
+const { logDropReport }        = require('./services/block_sanitizer');
 const transformModule          = require('./transformations/task_transformer');
 const transform                = transformModule.default || transformModule;
 const logger                   = require('./logging/logger');
@@ -18,6 +21,9 @@ const SOURCE_DB_ID  = process.env.APT_DB_ID;
 const TARGET_DB_ID  = process.env.NOTION_CENT_DB_ID;
 const TASK_MAP      = require('./transformations/apt_tasks_map');
 const LINKSTORE_TYPE = 'tasks_APT_live';
+const LINKS_DIR      = stateDir('links');
+
+const linkStore = createLinkStore(LINKS_DIR, logger);
 
 async function main () {
     /* ───────────────────────────────
@@ -52,7 +58,16 @@ async function main () {
         const sourceId = page.id;
 
         /* Idempotency: skip if already migrated */
-        const existing = await linkStore.load(sourceId, LINKSTORE_TYPE).catch(() => null);
+        let existing;
+        try {
+            existing = await linkStore.loadIfExists(sourceId, LINKSTORE_TYPE);
+        } catch (err) {
+            if (!(err instanceof CorruptLinkError)) throw err;
+            failed++;
+            processed++;
+            job.error({ sourceId, err: err.message }, 'Corrupt link – refusing to migrate page again');
+            continue;
+        }
         if (existing?.status === 'success') {
             skipped++;
             processed++;
@@ -63,15 +78,17 @@ async function main () {
         try {
             // ── 2a. Transform
             job.debug({ sourceId }, 'Transforming source page');
-            const payload = await transform(page, TASK_MAP);
+            const payload = await transform(page, TASK_MAP, job, { targetDbId: TARGET_DB_ID });
 
             // ── 2b. Write to target DB
             try {
-                const pageResult = await writeToDBB(payload, TARGET_DB_ID);
+                const dropReport = [];
+                const pageResult = await writeToDBB(payload, TARGET_DB_ID, job, { report: dropReport });
                 job.debug({ sourceId, targetId: pageResult.id }, 'Page written to target DB');
+                logDropReport(job.child({ sourceId }), dropReport);
 
                 // Record link success
-                const existingLink = await linkStore.load(sourceId, LINKSTORE_TYPE).catch(() => null);
+                const existingLink = await linkStore.loadIfExists(sourceId, LINKSTORE_TYPE);
                 await linkStore.save({
                     sourceId,
                     targetId:      pageResult.id,
@@ -87,7 +104,8 @@ async function main () {
                     targetPageName: payload.properties?.Name?.title?.[0]?.plain_text || '',
                     targetPageIcon: '',
                     notes:          '',
-                    history:        existingLink?.history || []
+                    history:        existingLink?.history || [],
+                    ...(Array.isArray(payload.children) && { dropReport })
                 }, LINKSTORE_TYPE);
 
             } catch (err) {
@@ -95,7 +113,7 @@ async function main () {
                 job.warn({ sourceId, err: err.message }, 'Write to target DB failed');
 
                 /* Record failure to avoid infinite retries */
-                const existingLink = await linkStore.load(sourceId, LINKSTORE_TYPE).catch(() => null);
+                const existingLink = await linkStore.loadIfExists(sourceId, LINKSTORE_TYPE);
                 await linkStore.save({
                     sourceId,
                     targetId: null,
@@ -20,6 +20,7 @@ class Link {
      * @param {object|null} [params.targetPageIcon=null]
      * @param {string} [params.notes='']
      * @param {Array<object>} [params.history=[]] – Previous syncs {targetId,syncedAt,deletedAt,notes}
+     * @param {Array<object>} [params.dropReport=[]] – Blocks the last write dropped or altered {blockId,type,rule,action,reason}
      */
     constructor({
                     sourceId,
@@ -37,6 +38,7 @@ class Link {
                     targetPageIcon = null,
                     notes = '',
                     history = [],
+                    dropReport = [],
                 }) {
         this.sourceId = sourceId;
         this.targetId = targetId;
@@ -57,6 +59,7 @@ class Link {
 
         this.notes   = notes;
         this.history = history;          // 🆕 lineage of prior target pages
+        this.dropReport = dropReport;    // content the last write did not carry over
     }
 }
 
@@ -0,0 +1,200 @@
+// scripts/check_block_diff.js
+// ---------------------------
+// Block-diff check (`npm test`). Diffs small source trees against target trees
+// with services/block_diff.js, asserts the ops it returns and, where the ops
+// are meant to reproduce the source, applies them to a copy of the target and
+// compares the result with the source:
+//
+//   1. unchanged / edited  – no ops; one blocks.update for an edited paragraph
+//   2. reorder             – the moved block is deleted and appended after the
+//                            last anchor, the others are kept
+//   3. insert at head      – a same-type block takes over the first anchor; a
+//                            different type recreates the blocks ahead of it
+//   4. type change         – delete + append after the previous sibling
+//   5. table rows          – rows are patched and appended inside the table
+//   6. column lists        – an edit in a column patches only that paragraph
+//   7. synced blocks       – originals are diffed, references' children are not
+//   8. media               – compared by file name, not by (signed) URL
+//   9. inline databases    – a copy is kept until its source is edited
+//
+// Exits 1 on the first failed assertion.
+
+const assert = require('assert');
+
+const { diffBlocks, contentKey } = require('../services/block_diff');
+const logger = require('../logging/logger');
+
+const PAGE = 'page-0';
+
+/* ── block builders ────────────────────────────────────────────────── */
+const ANNOTATIONS = { bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default' };
+const richText = text => [{ type: 'text', text: { content: text, link: null }, plain_text: text, annotations: ANNOTATIONS, href: null }];
+
+// target blocks carry an id, source blocks don't
+function block(type, content, { id, children } = {}) {
+    return { ...(id ? { id } : {}), type, [type]: content, ...(children ? { children } : {}) };
+}
+const para    = (text, opts) => block('paragraph', { rich_text: richText(text), color: 'default' }, opts);
+const heading = (text, opts) => block('heading_2', { rich_text: richText(text), color: 'default', is_toggleable: false }, opts);
+const row     = (cells, opts) => block('table_row', { cells: cells.map(richText) }, opts);
+const table   = (rows, opts) => block('table', { table_width: 2, has_column_header: true, has_row_header: false }, { ...opts, children: rows });
+const columns = (cols, opts) => block('column_list', {}, { ...opts, children: cols });
+const column  = (children, opts) => block('column', {}, { ...opts, children });
+const synced  = (from, children, opts) => block('synced_block', { synced_from: from ? { type: 'block_id', block_id: from } : null }, { ...opts, children });
+const image   = (url, opts) => block('image', { type: 'external', external: { url }, caption: [] }, opts);
+const inlineDb = (title, opts) => block('child_database', { title }, opts);
+
+/* ── apply ops to a copy of the target ─────────────────────────────── */
+function applyOps(targetBlocks, ops) {
+    const root = { id: PAGE, children: JSON.parse(JSON.stringify(targetBlocks)) };
+    const byId = new Map();
+    const parentOf = new Map();
+    let next = 0;
+    const index = (parent) => {
+        for (const child of parent.children || []) {
+            if (!child.id) child.id = `new-${++next}`;
+            byId.set(child.id, child);
+            parentOf.set(child.id, parent);
+            index(child);
+        }
+    };
+    byId.set(PAGE, root);
+    index(root);
+
+    for (const op of ops) {
+        if (op.op === 'delete') {
+            const parent = parentOf.get(op.blockId);
+            parent.children = parent.children.filter(b => b.id !== op.blockId);
+        } else if (op.op === 'update') {
+            const target = byId.get(op.blockId);
+            delete target[target.type];
+            Object.assign(target, { type: op.block.type, [op.block.type]: op.block[op.block.type] });
+        } else if (op.op === 'append') {
+            const parent = byId.get(op.parentId);
+            parent.children = parent.children || [];
+            const blocks = JSON.parse(JSON.stringify(op.blocks));
+            // without `after` the API appends at the end
+            const at = op.after ? parent.children.findIndex(b => b.id === op.after) + 1 : parent.children.length;
+            assert.ok(at > 0 || !op.after, `append after ${op.after}: no such child of ${op.parentId}`);
+            parent.children.splice(at, 0, ...blocks);
+            index(parent);
+        }
+    }
+    return root.children;
+}
+
+const shape = blocks => blocks.map(b => [contentKey(b), shape(b.children || [])]);
+
+// diff, check the ops reproduce the source, return the ops
+function diff(source, target) {
+    const ops = diffBlocks(PAGE, source, target);
+    assert.deepStrictEqual(shape(applyOps(target, ops)), shape(source), `ops do not reproduce the source: ${JSON.stringify(ops)}`);
+    return ops;
+}
+
+// ops without the block payloads, for readable comparisons
+const summary = ops => ops.map(op => {
+    if (op.op === 'delete') return `delete ${op.blockId}`;
+    if (op.op === 'update') return `update ${op.blockId}`;
+    return `append ${op.parentId} after ${op.after} ×${op.blocks.length}`;
+});
+
+async function main() {
+    // 1️⃣ unchanged trees make no ops; an edit is one update
+    assert.deepStrictEqual(diff(
+        [para('A'), para('B')],
+        [para('A', { id: 'a' }), para('B', { id: 'b' })]
+    ), [], 'unchanged');
+    assert.deepStrictEqual(summary(diff(
+        [para('A'), para('B2')],
+        [para('A', { id: 'a' }), para('B', { id: 'b' })]
+    )), ['update b'], 'edited paragraph');
+
+    // 2️⃣ reorder: A B C → B C A
+    assert.deepStrictEqual(summary(diff(
+        [para('B'), para('C'), para('A')],
+        [para('A', { id: 'a' }), para('B', { id: 'b' }), para('C', { id: 'c' })]
+    )), ['delete a', `append ${PAGE} after c ×1`], 'reorder');
+
+    // 3️⃣ insert at head: a paragraph takes over the first anchor …
+    assert.deepStrictEqual(summary(diff(
+        [para('X'), para('A'), para('B')],
+        [para('A', { id: 'a' }), para('B', { id: 'b' })]
+    )), ['update a', `append ${PAGE} after a ×1`], 'insert paragraph at head');
+    // … a heading can't, so everything ahead of a usable anchor is recreated
+    assert.deepStrictEqual(summary(diff(
+        [heading('X'), para('A'), para('B')],
+        [para('A', { id: 'a' }), para('B', { id: 'b' })]
+    )), ['delete a', 'delete b', `append ${PAGE} after null ×3`], 'insert heading at head');
+
+    // 4️⃣ type change: paragraph → heading in the middle
+    assert.deepStrictEqual(summary(diff(
+        [para('A'), heading('B'), para('C')],
+        [para('A', { id: 'a' }), para('B', { id: 'b' }), para('C', { id: 'c' })]
+    )), ['delete b', `append ${PAGE} after a ×1`], 'type change');
+
+    // 5️⃣ table rows: one cell edited, one row added
+    assert.deepStrictEqual(summary(diff(
+        [table([row(['Name', 'Qty']), row(['Pens', '12']), row(['Ink', '3'])])],
+        [table([row(['Name', 'Qty'], { id: 'r1' }), row(['Pens', '10'], { id: 'r2' })], { id: 't' })]
+    )), ['update r2', 'append t after r2 ×1'], 'table rows');
+
+    // 6️⃣ column lists: edit in the second column
+    assert.deepStrictEqual(summary(diff(
+        [columns([column([para('Left')]), column([para('Right v2')])])],
+        [columns([
+            column([para('Left', { id: 'p1' })], { id: 'col1' }),
+            column([para('Right', { id: 'p2' })], { id: 'col2' })
+        ], { id: 'cl' })]
+    )), ['update p2'], 'column list');
+
+    // 7️⃣ synced blocks: the original's children are diffed; a reference shows
+    // the original's content but its children are never written
+    const syncedOps = diffBlocks(PAGE,
+        [synced(null, [para('Shared v2')]), synced('src-original', [para('Shared v2')])],
+        [
+            synced(null, [para('Shared', { id: 'p1' })], { id: 'orig' }),
+            synced('orig', [para('Shared', { id: 'p1-view' })], { id: 'ref' })
+        ]
+    );
+    assert.deepStrictEqual(summary(syncedOps), ['update p1'], 'synced block');
+    // a reference never pairs with an original
+    assert.deepStrictEqual(summary(diff(
+        [synced('src-original', [])],
+        [synced(null, [], { id: 'orig' })]
+    )), ['delete orig', `append ${PAGE} after null ×1`], 'synced reference vs original');
+
+    // 8️⃣ media: re-uploaded files match by name; a new name replaces the block
+    const uploaded = 'https://prod-files-secure.s3.us-west-2.amazonaws.com/ws/abc/photo%20one.png?X-Amz-Signature=1';
+    assert.deepStrictEqual(diff(
+        [image('https://cdn.example.com/assets/photo%20one.png')],
+        [block('image', { type: 'file', file: { url: uploaded, expiry_time: '2026-01-01T00:00:00.000Z' }, caption: [] }, { id: 'img' })]
+    ), [], 'media with the same file name');
+    assert.deepStrictEqual(summary(diff(
+        [para('A'), image('https://cdn.example.com/assets/photo-two.png')],
+        [para('A', { id: 'a' }), image('https://cdn.example.com/assets/photo%20one.png', { id: 'img' })]
+    )), ['delete img', `append ${PAGE} after a ×1`], 'media with a new file name');
+
+    // 9️⃣ inline databases: rows aren't diffed, the source's last edit decides
+    const copy = () => [para('A', { id: 'a' }), { ...inlineDb('Shots', { id: 'db-copy' }), created_time: '2026-03-02T09:00:00.000Z' }];
+    const editedAt = time => ({ databaseEditedAt: new Map([['db-source', time]]) });
+    const source = [para('A'), inlineDb('Shots', { id: 'db-source' })];
+    assert.deepStrictEqual(diffBlocks(PAGE, source, copy(), editedAt('2026-03-01T17:30:00.000Z')), [], 'inline database edited before the copy');
+    assert.deepStrictEqual(
+        summary(diffBlocks(PAGE, source, copy(), editedAt('2026-03-02T09:00:00.000Z'))),
+        ['delete db-copy', `append ${PAGE} after a ×1`],
+        'inline database edited in the minute of the copy'
+    );
+    assert.deepStrictEqual(
+        summary(diffBlocks(PAGE, source, copy(), editedAt('2026-03-04T11:15:00.000Z'))),
+        ['delete db-copy', `append ${PAGE} after a ×1`],
+        'inline database edited since the copy'
+    );
+
+    logger.info({ event: 'block_diff_check_passed' }, '✅ Block-diff check passed');
+}
+
+main().catch(err => {
+    logger.error({ err }, `❌ Block-diff check failed: ${err.message}`);
+    process.exitCode = 1;
+});
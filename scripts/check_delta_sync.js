@@ -0,0 +1,117 @@
+// scripts/check_delta_sync.js
+// ---------------------------
+// Seeded delta-sync check (`npm test`). Runs delta_sync/index.js three times
+// against a FakeNotion built from delta_sync/fixtures/apt_seed.json, in a
+// scratch state dir, and asserts what each run wrote:
+//
+//   0. validate-map    – the APT map (translation tables included) passes
+//                        against the seeded schemas
+//   1. first sync      – every source page (and its subpage) is created once
+//   2. --force resync  – nothing changed, so no page or block is created,
+//                        appended or deleted (child pages included)
+//   3. incremental     – only the source page edited since run 2 is updated
+//
+// Run 1 also checks the APT translations ("Needs Review" → "In Review",
+// "P1" → "High").
+//
+// The same seed can drive the CLI by hand:
+//   SYNC_STATE_DIR=$(mktemp -d) APT_DB_ID=<source id> NOTION_CENT_DB_ID=<target id> \
+//     node delta_sync/index.js --fakeSeed delta_sync/fixtures/apt_seed.json
+//
+// Exits 1 on the first failed assertion.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SEED_FILE  = path.resolve(__dirname, '../delta_sync/fixtures/apt_seed.json');
+const DELTA_SYNC = path.resolve(__dirname, '../delta_sync/index.js');
+
+const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf-8'));
+const [sourceDb, targetDb] = seed.databases;
+const [, videoPage] = sourceDb.pages;
+
+// everything below must see the scratch state and the seeded DB IDs; an
+// empty cassette mode keeps a developer's .env from turning on replay
+const stateRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-sync-check-'));
+Object.assign(process.env, {
+    SYNC_STATE_DIR:       stateRoot,
+    APT_DB_ID:            sourceDb.id,
+    NOTION_CENT_DB_ID:    targetDb.id,
+    NOTION_CASSETTE_MODE: ''
+});
+process.chdir(stateRoot); // MediaMigrator's tmp/page_media
+
+const notion = require('../services/notion_client');
+const { FakeNotion } = require('../services/fake_notion');
+const logger = require('../logging/logger');
+const TASK_MAP = require('../transformations/apt_tasks_map');
+const { validateMap } = require('../transformations/map_validator');
+
+const fake = FakeNotion.fromSeed(seed);
+notion.useBackend(fake);
+
+// Loads a fresh copy of the orchestrator (its config is read from argv at
+// load time) and returns the Notion calls the run made.
+async function deltaSync(...args) {
+    process.argv = [process.argv[0], DELTA_SYNC, ...args];
+    delete require.cache[DELTA_SYNC];
+    fake.calls.length = 0;
+    await require(DELTA_SYNC).main();
+    assert.ok(!process.exitCode, `delta_sync ${args.join(' ')} finished with exit code ${process.exitCode}`);
+    return fake.calls;
+}
+
+const count = (calls, method) => calls.filter(c => c.method === method).length;
+const targetPages = () => fake.listPages(targetDb.id, { includeArchived: false });
+const titleOf = page => page.properties.Name.title.map(t => t.plain_text).join('');
+const targetFor = title => targetPages().find(p => titleOf(p) === title);
+const childPages = pageId => fake.blockTree(pageId).filter(b => b.type === 'child_page');
+
+async function main() {
+    // 0️⃣ the map fits the seeded schemas
+    const [source, target] = await Promise.all([sourceDb, targetDb].map(db => fake.databases.retrieve({ database_id: db.id })));
+    const report = validateMap(TASK_MAP, source.properties, target.properties);
+    assert.deepStrictEqual(report.errors, [], 'validate-map: the APT map has errors against the seed');
+
+    // 1️⃣ first sync creates everything
+    let calls = await deltaSync('--fullScan');
+    assert.strictEqual(targetPages().length, 2, 'first sync: one target page per source page');
+    const banner = targetFor('Spring banner set');
+    assert.ok(banner, 'first sync: "Spring banner set" was not written');
+    assert.strictEqual(banner.properties['Production Status (APT)'].status?.name, 'In Progress');
+    assert.strictEqual(banner.properties['Priority (APT)'].select?.name, 'High', 'translation: P1 → High');
+    const video = targetFor('Summer video cut');
+    assert.strictEqual(video?.properties['Production Status (APT)'].status?.name, 'In Review', 'translation: Needs Review → In Review');
+    assert.deepStrictEqual(banner.properties.Labels.multi_select.map(o => o.name), ['Ad Production Tasks']);
+    assert.deepStrictEqual(childPages(banner.id).map(b => b.child_page.title), ['Copy deck']);
+    assert.strictEqual(count(calls, 'pages.create'), 3, 'first sync: two tasks and one subpage');
+
+    // 2️⃣ a forced resync of unchanged pages only rewrites properties
+    calls = await deltaSync('--force');
+    for (const method of ['pages.create', 'blocks.children.append', 'blocks.delete', 'blocks.update']) {
+        assert.strictEqual(count(calls, method), 0, `no-op resync made ${count(calls, method)} ${method} call(s)`);
+    }
+    assert.strictEqual(count(calls, 'pages.update'), 2, 'no-op resync: one property update per task');
+    assert.strictEqual(targetPages().length, 2, 'no-op resync: target pages were duplicated');
+    assert.strictEqual(childPages(banner.id).length, 1, 'no-op resync: the subpage was recreated');
+
+    // 3️⃣ an incremental run picks up only the edited page
+    await fake.pages.update({ page_id: videoPage.id, properties: { Name: { title: [{ text: { content: 'Summer video cut v2' } }] } } });
+    calls = await deltaSync();
+    const sourceQuery = calls.find(c => c.method === 'databases.query' && c.args.database_id === sourceDb.id);
+    assert.ok(sourceQuery?.args.filter, 'incremental run: source query has no last_edited_time filter');
+    assert.strictEqual(count(calls, 'pages.create'), 0, 'incremental run: nothing should be created');
+    const updated = calls.filter(c => c.method === 'pages.update').map(c => c.args.page_id);
+    assert.deepStrictEqual(updated, [targetFor('Summer video cut v2')?.id], 'incremental run: only the edited page is updated');
+
+    logger.info({ event: 'delta_sync_check_passed' }, '✅ Seeded delta-sync check passed');
+}
+
+main()
+    .catch(err => {
+        logger.error({ err }, `❌ Seeded delta-sync check failed: ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => fs.rmSync(stateRoot, { recursive: true, force: true }));
@@ -0,0 +1,58 @@
+// scripts/check_identity_map.js
+// -----------------------------
+// Identity-map check (`npm test`). Resolves source people against a small
+// in-memory CENT directory and asserts how guests are matched by name:
+//
+//   1. full names match exactly, after normalizing, or through a nickname
+//   2. a one-word guest name that matches a CENT user's first name only is
+//      not resolved (the guest fallback applies)
+//   3. … unless the identity file sets match_first_name
+//
+// Exits 1 on the first failed assertion.
+
+const assert = require('assert');
+
+const { UserStore } = require('../services/user_store');
+const { IdentityMap } = require('../services/identity_map');
+const logger = require('../logging/logger');
+
+const CENT_USERS = [
+    { object: 'user', id: 'c0000000-0000-4000-8000-000000000001', type: 'person', name: 'Christopher Lane', person: { email: 'chris@cent.com' } },
+    { object: 'user', id: 'c0000000-0000-4000-8000-000000000002', type: 'person', name: 'Zoë Brandt', person: { email: 'zoe@cent.com' } }
+];
+const [chris, zoe] = CENT_USERS;
+
+// users.list is all UserStore calls; no disk cache
+function userStore() {
+    const client = { users: { list: async () => ({ results: CENT_USERS, next_cursor: null }) } };
+    return new UserStore(client, { cacheFile: null });
+}
+
+async function identityMap(spec = {}) {
+    return new IdentityMap(spec, { userStore: userStore() }).init();
+}
+
+const guest = name => ({ object: 'user', id: 'a0000000-0000-4000-8000-0000000000ff', name });
+
+async function main() {
+    // 1️⃣ full names resolve
+    let map = await identityMap();
+    assert.deepStrictEqual(map.resolve(guest('Christopher Lane')), { id: chris.id, via: 'name' }, 'exact name');
+    assert.deepStrictEqual(map.resolve(guest('zoe  brandt')), { id: zoe.id, via: 'name' }, 'normalized name');
+    assert.deepStrictEqual(map.resolve(guest('Chris Lane')), { id: chris.id, via: 'name' }, 'nickname');
+
+    // 2️⃣ a first name alone is a guest, not the only CENT "Chris…"
+    assert.deepStrictEqual(map.resolve(guest('Chris')), { id: null, via: 'guest' }, 'single-token guest name was resolved');
+    assert.deepStrictEqual(map.resolve(guest('Zoe')), { id: null, via: 'guest' }, 'single-token guest name was resolved');
+
+    // 3️⃣ opt-in
+    map = await identityMap({ match_first_name: true });
+    assert.deepStrictEqual(map.resolve(guest('Chris')), { id: chris.id, via: 'name' }, 'match_first_name: first name');
+
+    logger.info({ event: 'identity_map_check_passed' }, '✅ Identity-map check passed');
+}
+
+main().catch(err => {
+    logger.error({ err }, `❌ Identity-map check failed: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,79 @@
+// scripts/find_link.js
+// --------------------
+// Reverse lookup: which source page does a CENT (target) page come from?
+//
+// Usage:
+//   node scripts/find_link.js <targetPageId | notion URL> [migrationType]
+//
+// Searches every migration type unless one is given, matching both the
+// current targetId and archived predecessors in history[]. Prints the full
+// link record and its replacement chain (oldest → current).
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const logger          = require('../logging/logger');
+const createLinkStore = require('../services/create_link_store');
+
+const { stateDir } = require('../services/state_dirs');
+
+const LINKS_DIR = stateDir('links');
+
+// Accepts dashed IDs, bare 32-char IDs or full Notion URLs
+function normalizeId(input) {
+    const hex = (input.split(/[?#]/)[0].replace(/-/g, '').match(/[0-9a-f]{32}(?=[^0-9a-f]*$)/i) || [])[0];
+    if (!hex) return null;
+    const h = hex.toLowerCase();
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+function printChain(link, queriedId) {
+    const steps = [
+        ...link.history.map(h => ({
+            targetId: h.targetId,
+            detail:   `synced ${h.syncedAt || '?'}, deleted ${h.deletedAt || '—'}${h.notes ? `, ${h.notes}` : ''}`
+        })),
+        { targetId: link.targetId, detail: `current (${link.status}, synced ${link.syncedAt})` }
+    ];
+
+    console.log('\nReplacement chain (oldest → current):');
+    steps.forEach((step, i) => {
+        const marker = step.targetId === queriedId ? '  ◀ queried' : '';
+        console.log(`  ${i + 1}. ${step.targetId || '(none)'} — ${step.detail}${marker}`);
+    });
+}
+
+async function main() {
+    const [rawId, onlyType] = process.argv.slice(2);
+    const targetId = rawId && normalizeId(rawId);
+    if (!targetId) {
+        console.error('Usage: node scripts/find_link.js <targetPageId | notion URL> [migrationType]');
+        process.exit(1);
+    }
+
+    const linkStore = createLinkStore(LINKS_DIR, logger);
+    const types = onlyType ? [onlyType] : await linkStore.listTypes();
+
+    let found = 0;
+    for (const type of types) {
+        const link = await linkStore.findByTargetId(targetId, type);
+        if (!link) continue;
+        found++;
+
+        const current = link.targetId === targetId;
+        console.log(`\n🔗 ${type}: ${current ? 'current target' : 'archived predecessor'} of source ${link.sourceId}`);
+        console.log(`   Source page: https://notion.so/${link.sourceId.replace(/-/g, '')} (${link.sourcePageName || 'untitled'})`);
+        console.log(JSON.stringify(link, null, 2));
+        printChain(link, targetId);
+    }
+
+    if (!found) {
+        console.log(`No link found for target ${targetId} in: ${types.join(', ') || '(no link types)'}`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(err => {
+    console.error('Fatal error in find_link:', err);
+    process.exit(1);
+});
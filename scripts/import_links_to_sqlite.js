@@ -0,0 +1,64 @@
+// scripts/import_links_to_sqlite.js
+// ---------------------------------
+// Converts the JSON link shards (links/<type>/*.json) into a SQLite LinkStore.
+//
+// Usage:
+//   node scripts/import_links_to_sqlite.js [linksDir] [sqliteFile]
+//
+// Defaults to ./links (or $SYNC_STATE_DIR/links) and <linksDir>/links.sqlite. Re-running is safe: rows are
+// upserted by (type, sourceId). Shards are checksum-verified like the JSON
+// store reads them; corrupt ones are reported and skipped.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logging/logger');
+const SqliteLinkStore = require('../services/sqlite_link_store');
+const { parseShard, CorruptLinkError } = require('../services/link_store');
+const { stateDir } = require('../services/state_dirs');
+
+const LINKS_DIR   = path.resolve(process.argv[2] || stateDir('links'));
+const SQLITE_FILE = path.resolve(process.argv[3] || path.join(LINKS_DIR, 'links.sqlite'));
+
+async function main() {
+    const store = new SqliteLinkStore(SQLITE_FILE, logger);
+    const types = fs.readdirSync(LINKS_DIR, { withFileTypes: true })
+        .filter(d => d.isDirectory())
+        .map(d => d.name);
+
+    let imported = 0;
+    let corrupt  = 0;
+    let failed   = 0;
+
+    for (const type of types) {
+        const dir = path.join(LINKS_DIR, type);
+        const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+        logger.info(`📦 Importing ${files.length} link(s) from ${type}`);
+
+        for (const fileName of files) {
+            const file = path.join(dir, fileName);
+            try {
+                // parseShard drops the shard's checksum – SQLite rows carry none
+                const data = parseShard(fs.readFileSync(file, 'utf-8'), path.basename(fileName, '.json'), file);
+                await store.save({ ...data, history: data.history || [] }, type);
+                imported++;
+            } catch (err) {
+                if (err instanceof CorruptLinkError) {
+                    corrupt++;
+                    logger.error({ event: 'link_corrupt', file }, `🛑 Skipping ${err.message}`);
+                    continue;
+                }
+                failed++;
+                logger.warn(`⚠️  Skipping ${file}: ${err.message}`);
+            }
+        }
+    }
+
+    store.close();
+    logger.info({ imported, corrupt, failed, file: SQLITE_FILE }, `🏁 Imported ${imported} link(s), ${corrupt} corrupt, ${failed} failed`);
+    if (corrupt || failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+    logger.error({ err }, 'Fatal error in import_links_to_sqlite');
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+// scripts/provision_options.js
+// ---------------------------
+// Adds the select / multi_select options a map can write to the target DB
+// (with the source colors) and lists status options that must be created by
+// hand in the Notion UI.
+//
+// Usage:
+//   npm run provision-options -- <apt|mcc|sm|path/to/map.{js,yaml,json}> [--source <dbId>] [--target <dbId>] [--dryRun] [--json]
+//
+// DB IDs default to the env vars named under `databases:` in the map.
+// Exits 1 while status options are still missing.
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const minimist = require('minimist');
+
+const logger               = require('../logging/logger');
+const { resolveMap }       = require('../transformations/map_loader');
+const { provisionOptions } = require('../services/option_provisioner');
+
+async function main() {
+    const argv = minimist(process.argv.slice(2), { string: ['source', 'target'], boolean: ['json', 'dryRun'] });
+    const [mapArg] = argv._;
+    if (!mapArg) {
+        console.error('Usage: npm run provision-options -- <apt|mcc|sm|map file> [--source <dbId>] [--target <dbId>] [--dryRun] [--json]');
+        process.exit(1);
+    }
+
+    const map = resolveMap(mapArg);
+    const sourceDbId = argv.source || process.env[map.databases?.source];
+    const targetDbId = argv.target || process.env[map.databases?.target];
+    if (!sourceDbId || !targetDbId) {
+        console.error(`Missing DB IDs – pass --source/--target or set ${map.databases?.source || '?'} / ${map.databases?.target || '?'}`);
+        process.exit(1);
+    }
+
+    const report = await provisionOptions(map, {
+        sourceDbId,
+        targetDbId,
+        dryRun: argv.dryRun,
+        logger: argv.json ? logger.child({}, { level: 'silent' }) : logger
+    });
+
+    if (argv.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`\n🎛  ${map.name || mapArg}`);
+        console.log(`  ${report.applied ? 'Added' : 'To add'}: ${report.add.length} option(s)`);
+        for (const a of report.add) console.log(`    ➕ ${a.property}: "${a.name}" (${a.color})`);
+        console.log(`  Create in the Notion UI: ${report.manualStatus.length} option(s)`);
+        for (const s of report.manualStatus) {
+            console.log(`    ✋ ${s.property}: "${s.name}" (${s.color}${s.group ? `, group ${s.group}` : ''})${s.reason ? ` – ${s.reason}` : ''}`);
+        }
+        if (report.colorMismatches.length) {
+            console.log(`  Color differences (left as is): ${report.colorMismatches.length}`);
+            for (const c of report.colorMismatches) console.log(`    🎨 ${c.property}: "${c.name}" ${c.source} → ${c.target}`);
+        }
+    }
+    process.exitCode = report.manualStatus.length ? 1 : 0;
+}
+
+main().catch(err => {
+    console.error('Fatal error in provision_options:', err);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+// scripts/refresh_users.js
+// -----------------------
+// Re-fetches the workspace user directory into cache/users.json (normally
+// refreshed once the cache is older than NOTION_USERS_TTL_HOURS) and reports
+// names that fuzzy matching cannot tell apart.
+//
+// Usage:
+//   npm run refresh-users [-- --json] [-- --check "Name" ...]
+//
+// --check runs the given names through the fuzzy matcher as well.
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const fs = require('fs');
+const yaml = require('js-yaml');
+const minimist = require('minimist');
+
+const { getSharedUserStore } = require('../services/user_store');
+
+const IDENTITIES = path.resolve(__dirname, '../transformations/maps/identities.yaml');
+
+async function main() {
+    const argv = minimist(process.argv.slice(2), { boolean: ['json'], string: ['check'] });
+    const store = getSharedUserStore();
+    if (fs.existsSync(IDENTITIES)) store.addNicknames(yaml.load(fs.readFileSync(IDENTITIES, 'utf-8'))?.nicknames || {});
+
+    await store.refresh();
+    const checks = [].concat(argv.check || []).map(name => {
+        const { user, level, candidates } = store.matchName(name);
+        return { name, match: user?.name || null, level, candidates: candidates.map(u => u.name) };
+    });
+    const report = store.ambiguityReport();
+    const users = store.getAllUsers();
+
+    if (argv.json) {
+        console.log(JSON.stringify({ fetchedAt: store.fetchedAt, count: users.length, checks, ...report }, null, 2));
+    } else {
+        const people = users.filter(u => u.type === 'person').length;
+        console.log(`\n👥 ${users.length} users (${people} people, ${users.length - people} bots) cached to ${path.relative(process.cwd(), store.cacheFile)}`);
+        for (const c of checks) {
+            const result = c.match ? `→ ${c.match} (${c.level})`
+                : c.candidates.length ? `ambiguous: ${c.candidates.join(', ')}` : 'no match';
+            console.log(`  🔎 "${c.name}" ${result}`);
+        }
+        if (report.collisions.length) {
+            console.log(`\n⚠️  ${report.collisions.length} name(s) shared by several users – add identity entries for them:`);
+            for (const c of report.collisions) console.log(`  • ${c.users.join(' / ')}`);
+        } else {
+            console.log('\n✅ No ambiguous names');
+        }
+    }
+}
+
+main().catch(err => {
+    console.error('Fatal error in refresh_users:', err);
+    process.exit(1);
+});
@@ -0,0 +1,60 @@
+// scripts/validate_map.js
+// ----------------------
+// Validates a task map against the live source and target DB schemas and
+// prints a pass/fail report. No pages are read or written.
+//
+// Usage:
+//   npm run validate-map -- <apt|mcc|sm|path/to/map.{js,yaml,json}> [--source <dbId>] [--target <dbId>] [--json]
+//
+// DB IDs default to the env vars named under `databases:` in the map.
+// Exits 1 when any check fails.
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const minimist = require('minimist');
+
+const notion          = require('../services/notion_client');
+const { resolveMap }  = require('../transformations/map_loader');
+const { validateMap } = require('../transformations/map_validator');
+
+const ICONS = { ok: '✅', warn: '⚠️ ', error: '❌' };
+
+async function main() {
+    const argv = minimist(process.argv.slice(2), { string: ['source', 'target'], boolean: ['json'] });
+    const [mapArg] = argv._;
+    if (!mapArg) {
+        console.error('Usage: npm run validate-map -- <apt|mcc|sm|map file> [--source <dbId>] [--target <dbId>] [--json]');
+        process.exit(1);
+    }
+
+    const map = resolveMap(mapArg);
+    const sourceDbId = argv.source || process.env[map.databases?.source];
+    const targetDbId = argv.target || process.env[map.databases?.target];
+    if (!sourceDbId || !targetDbId) {
+        console.error(`Missing DB IDs – pass --source/--target or set ${map.databases?.source || '?'} / ${map.databases?.target || '?'}`);
+        process.exit(1);
+    }
+
+    const [sourceDb, targetDb] = await Promise.all([
+        notion.databases.retrieve({ database_id: sourceDbId }),
+        notion.databases.retrieve({ database_id: targetDbId })
+    ]);
+    const report = validateMap(map, sourceDb.properties, targetDb.properties);
+
+    if (argv.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        const title = db => db.title?.map(t => t.plain_text).join('') || db.id;
+        console.log(`\n🗺  ${map.name || mapArg}: ${title(sourceDb)} → ${title(targetDb)}\n`);
+        for (const c of report.checks) {
+            console.log(`  ${ICONS[c.level]} ${c.subject}: ${c.message}`);
+        }
+        console.log(`\n${report.ok ? '✅ PASS' : '❌ FAIL'} – ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+    }
+    process.exitCode = report.ok ? 0 : 1;
+}
+
+main().catch(err => {
+    console.error('Fatal error in validate_map:', err);
+    process.exit(1);
+});
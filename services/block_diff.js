@@ -0,0 +1,218 @@
+// services/block_diff.js
+// ---------------------
+// Diffs a (sanitized) source block tree against the current target block tree
+// and returns the minimal list of operations that turns one into the other:
+//
+//   { op: 'delete', blockId }
+//   { op: 'update', blockId, block }            – content patch via blocks.update
+//   { op: 'append', parentId, after, blocks }   – after = anchor block ID or null
+//
+// Pure: no API calls happen here. write_task.js applies the ops.
+//
+// Inline databases (child_database) are compared by title only; their rows
+// are not diffed. A copy is recreated instead when the source database was
+// edited at or after the copy was made (options.databaseEditedAt, filled by
+// write_task.js from databases.retrieve). Notion reports both times at minute
+// precision, so an edit in the minute of the copy recreates it once more
+// rather than being missed.
+
+const path = require('path');
+const { isDataUrl, parseDataUrl } = require('./data_url');
+
+// Blocks whose own content can be patched with blocks.update
+const UPDATABLE_TYPES = new Set([
+    'paragraph', 'heading_1', 'heading_2', 'heading_3',
+    'bulleted_list_item', 'numbered_list_item', 'to_do', 'toggle',
+    'quote', 'callout', 'code', 'equation', 'bookmark', 'embed', 'table_row'
+]);
+
+// Media is re-uploaded on write, so URLs never match – compare by file name
+const MEDIA_TYPES = new Set(['image', 'file', 'pdf', 'video', 'audio']);
+
+/* ── normalisation ─────────────────────────────────────────────────── */
+function fileName(url) {
+    // pasted images upload under a content-addressed name (data_url.js)
+    if (isDataUrl(url)) return parseDataUrl(url)?.filename || url;
+    try {
+        return decodeURIComponent(path.basename(new URL(url).pathname));
+    } catch {
+        return url;
+    }
+}
+
+function normalizeValue(value) {
+    if (Array.isArray(value)) return value.map(normalizeValue);
+    if (value === null || typeof value !== 'object') return value;
+
+    // rich text item – ids inside mentions differ between workspaces
+    if ('plain_text' in value && 'annotations' in value) {
+        return {
+            text:        value.plain_text,
+            annotations: normalizeValue(value.annotations),
+            href:        value.href || null
+        };
+    }
+
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+        if (key === 'expiry_time') continue;
+        out[key] = normalizeValue(value[key]);
+    }
+    return out;
+}
+
+function normalizeContent(block) {
+    const content = block[block.type] || {};
+    // references point at different originals in source and target
+    if (block.type === 'synced_block') return { original: !content.synced_from };
+    if (MEDIA_TYPES.has(block.type)) {
+        const url = content.external?.url || content.file?.url || '';
+        return {
+            caption: normalizeValue(content.caption || []),
+            name:    fileName(url)
+        };
+    }
+    const { children, ...rest } = content;
+    return normalizeValue(rest);
+}
+
+/** Stable key for a block's own content (children excluded). */
+function contentKey(block) {
+    return JSON.stringify([block.type, normalizeContent(block)]);
+}
+
+/** Stable key for a block and its whole subtree. */
+function treeKey(block) {
+    if (block.__treeKey) return block.__treeKey;
+    const key = JSON.stringify([contentKey(block), (block.children || []).map(treeKey)]);
+    Object.defineProperty(block, '__treeKey', { value: key, enumerable: false });
+    return key;
+}
+
+function isStaleDatabase(src, tgt, databaseEditedAt) {
+    const edited = databaseEditedAt?.get(src.id);
+    return Boolean(edited && tgt.created_time) && new Date(edited) >= new Date(tgt.created_time);
+}
+
+function canUpdate(src, tgt) {
+    if (src.type !== tgt.type) return false;
+    return UPDATABLE_TYPES.has(src.type) || contentKey(src) === contentKey(tgt);
+}
+
+/* ── sibling alignment ─────────────────────────────────────────────── */
+// Longest common subsequence of identical subtrees → [srcIndex, tgtIndex] pairs
+function lcsPairs(a, b) {
+    const n = a.length, m = b.length;
+    const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            dp[i][j] = a[i] === b[j]
+                ? dp[i + 1][j + 1] + 1
+                : Math.max(dp[i + 1][j], dp[i][j + 1]);
+        }
+    }
+    const pairs = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) { pairs.push([i, j]); i++; j++; }
+        else if (dp[i + 1][j] >= dp[i][j + 1]) i++;
+        else j++;
+    }
+    return pairs;
+}
+
+// Pairs up the unmatched blocks between two anchors, positionally by type
+function pairGap(gapSrc, gapTgt, plan, deletes) {
+    let a = 0, b = 0;
+    while (a < gapSrc.length && b < gapTgt.length) {
+        if (canUpdate(gapSrc[a], gapTgt[b])) {
+            plan.push({ kind: 'update', src: gapSrc[a++], tgt: gapTgt[b++] });
+        } else if (gapSrc.slice(a + 1).some(s => canUpdate(s, gapTgt[b]))) {
+            plan.push({ kind: 'insert', src: gapSrc[a++] });
+        } else {
+            deletes.push(gapTgt[b++]);
+        }
+    }
+    while (a < gapSrc.length) plan.push({ kind: 'insert', src: gapSrc[a++] });
+    while (b < gapTgt.length) deletes.push(gapTgt[b++]);
+}
+
+function diffSiblings(parentId, src, tgt, ops, options) {
+    const plan    = [];
+    const deletes = [];
+
+    let i = 0, j = 0;
+    const pairs = lcsPairs(src.map(treeKey), tgt.map(treeKey));
+    for (const [pi, pj] of [...pairs, [src.length, tgt.length]]) {
+        pairGap(src.slice(i, pi), tgt.slice(j, pj), plan, deletes);
+        if (pi < src.length) plan.push({ kind: 'keep', src: src[pi], tgt: tgt[pj] });
+        i = pi + 1;
+        j = pj + 1;
+    }
+
+    // an inline database copy older than its source's last edit is recreated
+    for (const [k, entry] of plan.entries()) {
+        if (entry.kind === 'insert' || entry.src.type !== 'child_database') continue;
+        if (!isStaleDatabase(entry.src, entry.tgt, options.databaseEditedAt)) continue;
+        deletes.push(entry.tgt);
+        plan[k] = { kind: 'insert', src: entry.src };
+    }
+
+    // The API can only insert *after* an existing block. New blocks ahead of
+    // the first anchor either take over that anchor (update) or force it to
+    // be recreated.
+    while (plan[0]?.kind === 'insert') {
+        const k = plan.findIndex(e => e.kind !== 'insert');
+        if (k === -1) break;
+        const anchor = plan[k];
+        if (canUpdate(plan[0].src, anchor.tgt)) {
+            plan.splice(k, 1, { kind: 'insert', src: anchor.src });
+            plan[0] = { kind: 'update', src: plan[0].src, tgt: anchor.tgt };
+        } else {
+            deletes.push(anchor.tgt);
+            plan[k] = { kind: 'insert', src: anchor.src };
+        }
+    }
+
+    for (const blk of deletes) ops.push({ op: 'delete', blockId: blk.id });
+
+    let anchorId = null;
+    let pending  = null;
+    for (const entry of plan) {
+        if (entry.kind === 'insert') {
+            if (!pending) {
+                pending = { op: 'append', parentId, after: anchorId, blocks: [] };
+                ops.push(pending);
+            }
+            pending.blocks.push(entry.src);
+            continue;
+        }
+
+        pending  = null;
+        anchorId = entry.tgt.id;
+        if (entry.kind === 'keep') continue;
+
+        if (contentKey(entry.src) !== contentKey(entry.tgt)) {
+            ops.push({ op: 'update', blockId: entry.tgt.id, block: entry.src });
+        }
+        // a reference's children belong to its original
+        if (entry.src.type === 'synced_block' && entry.src.synced_block?.synced_from) continue;
+        diffSiblings(entry.tgt.id, entry.src.children || [], entry.tgt.children || [], ops, options);
+    }
+}
+
+/**
+ * @param {string} parentId            – target page (or block) ID
+ * @param {Array<Object>} sourceBlocks – desired tree (sanitized, with `children`)
+ * @param {Array<Object>} targetBlocks – current target tree (with `children`)
+ * @param {Object} [options]
+ * @param {Map<string,string>} [options.databaseEditedAt] – source inline DB ID → its last_edited_time
+ * @returns {Array<Object>}            – ops in a safe apply order per parent
+ */
+function diffBlocks(parentId, sourceBlocks, targetBlocks, options = {}) {
+    const ops = [];
+    diffSiblings(parentId, sourceBlocks, targetBlocks, ops, options);
+    return ops;
+}
+
+module.exports = { diffBlocks, contentKey };
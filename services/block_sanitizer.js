@@ -1,36 +1,162 @@
 /****
  * block_sanitizer.js
  * Utilities to clean up and sanitize Notion blocks before writing
+ *
+ * Blocks go through a pipeline of named rules, each `(block, ctx)` → a block,
+ * null (drop) or an array of blocks (split). Rules call `ctx.report(action,
+ * reason)` for anything an editor would notice – dropped, altered, split or
+ * truncated content – and the entries land in the caller's report with the
+ * source block ID. Loss-free normalization is not reported.
+ *
+ * Maps pick rules via `options.sanitizer: { enable: [...], disable: [...] }`;
+ * registerRule() adds custom ones. The text limit rules always run last.
  */
 
 const { sanitizeFileObject } = require('../services/file_handler');
+const { isDataUrl, parseDataUrl } = require('./data_url');
 const logger = require('../logging/logger');
 
-function sanitizeBlocks(blocks) {
+// Notion request limits for rich text
+const MAX_TEXT_LENGTH = 2000;   // characters per text object
+const MAX_RICH_TEXT_ITEMS = 100; // items per rich_text array
+
+// Blocks that can be split into consecutive blocks of the same type
+const SPLITTABLE_TYPES = new Set([
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item',
+  'numbered_list_item', 'to_do', 'toggle', 'quote', 'callout', 'code'
+]);
+
+// Block types the API can create; anything else becomes a placeholder.
+// child_page / child_database / synced_block / table / column_list need
+// special handling in write_task.js.
+const WRITABLE_TYPES = new Set([
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item',
+  'numbered_list_item', 'to_do', 'toggle', 'quote', 'callout', 'code',
+  'equation', 'divider', 'breadcrumb', 'table_of_contents', 'bookmark', 'embed',
+  'image', 'video', 'pdf', 'file', 'audio', 'table', 'table_row', 'column_list',
+  'column', 'synced_block', 'link_to_page', 'child_page', 'child_database'
+]);
+
+// Rules applied when a map does not say otherwise, in order
+const DEFAULT_RULES = [
+  'link_preview_to_bookmark',
+  'placeholder_unrepresentable',
+  'fix_callout_icon',
+  'strip_data_url_images',
+  'sanitize_mentions',
+  'normalize_file_objects',
+  'strip_invalid_file_blocks',
+  'normalize_column_lists',
+  'limit_text_length',
+  'split_oversized'
+];
+
+// Run before every other rule: remove_unsupported is opt-in (maps that prefer
+// dropping `unsupported` blocks to placeholders) and only fires ahead of
+// placeholder_unrepresentable
+const FIRST_RULES = ['remove_unsupported'];
+
+// Run after every other rule, so custom rules see whole blocks
+const LIMIT_RULES = ['limit_text_length', 'split_oversized'];
+
+const WARN_ACTIONS = new Set(['dropped', 'truncated']);
+
+// Read-shape annotations, so generated text diffs equal to what Notion returns
+const DEFAULT_ANNOTATIONS = {
+  bold: false, italic: false, strikethrough: false,
+  underline: false, code: false, color: 'default'
+};
+
+const registry = new Map();
+
+/**
+ * Adds (or replaces) a named rule.
+ * @param {string} name
+ * @param {Function} fn – (block, ctx) → block | null | Array<block>
+ */
+function registerRule(name, fn) {
+  if (typeof fn !== 'function') throw new Error(`Sanitizer rule "${name}" must be a function`);
+  registry.set(name, fn);
+}
+
+/**
+ * Rule list for a map's `options.sanitizer`: the defaults minus `disable`,
+ * plus `enable`, with remove_unsupported moved to the front and the limit
+ * rules to the end.
+ * @param {Object} [config] – { enable: string[], disable: string[] }
+ * @returns {Array<{ name: string, fn: Function }>}
+ */
+function resolveRules({ enable = [], disable = [] } = {}) {
+  for (const name of [...enable, ...disable]) {
+    if (!registry.has(name)) {
+      throw new Error(`Unknown sanitizer rule "${name}" (known: ${[...registry.keys()].join(', ')})`);
+    }
+  }
+  const names = [...new Set([...DEFAULT_RULES, ...enable])]
+    .filter(name => !disable.includes(name));
+  const ordered = [
+    ...names.filter(name => FIRST_RULES.includes(name)),
+    ...names.filter(name => !FIRST_RULES.includes(name) && !LIMIT_RULES.includes(name)),
+    ...names.filter(name => LIMIT_RULES.includes(name))
+  ];
+  return ordered.map(name => ({ name, fn: registry.get(name) }));
+}
+
+/**
+ * @param {Array<Object>} blocks
+ * @param {Object} [options]
+ * @param {Array|Object} [options.rules] – resolveRules() output or a map's
+ *                                         `options.sanitizer`; defaults
+ * @param {Array<Object>} [options.report] – receives { blockId, type, rule,
+ *                                           action, reason } entries
+ * @returns {Array<Object>}
+ */
+function sanitizeBlocks(blocks, { rules, report = [] } = {}) {
+  const pipeline = Array.isArray(rules) ? rules : resolveRules(rules || {});
+
+  function record(block, rule, action, reason) {
+    const entry = { blockId: block.id || null, type: block.type, rule, action, reason };
+    report.push(entry);
+    const message = `Sanitizer ${action} ${block.type} ${block.id || '[no id]'}: ${reason}`;
+    if (WARN_ACTIONS.has(action)) logger.warn({ event: 'block_sanitized', ...entry }, message);
+    else logger.debug({ event: 'block_sanitized', ...entry }, message);
+  }
+
+  function applyRule({ name, fn }, block) {
+    let reportedDrop = false;
+    const ctx = {
+      rule: name,
+      report(action, reason) {
+        if (action === 'dropped') reportedDrop = true;
+        record(block, name, action, reason);
+      }
+    };
+    const out = fn(block, ctx);
+    if (!out && !reportedDrop) record(block, name, 'dropped', `dropped by rule ${name}`);
+    return out;
+  }
+
   function sanitizeBlock(block) {
-    // Deep clone to avoid mutating original
+    // Shallow clone to avoid mutating original
     const b = { ...block };
 
     // Recursively sanitize any nested children first
     if (Array.isArray(b.children)) {
-      b.children = sanitizeBlocks(b.children);
+      b.children = sanitizeBlocks(b.children, { rules: pipeline, report });
     }
 
-    // Apply block-level sanitizers
-    if (!removeUnsupported(b)) return null;
-    fixCalloutIcon(b);
-    const afterDataUrl = stripDataUrlImages(b);
-    const afterMentions = sanitizeRichTextMentions(afterDataUrl);
-    const afterFiles = normalizeFileObjects(afterMentions);
-    const finalBlock = stripInvalidFileBlocks(afterFiles);
-
-    return finalBlock;
+    // Each rule sees every block the previous one produced
+    let current = [b];
+    for (const rule of pipeline) {
+      current = current.flatMap(each => applyRule(rule, each) || []);
+      if (!current.length) return [];
+    }
+    return current;
   }
 
-  return blocks
-    .map(sanitizeBlock)
-    .filter(Boolean);
+  return blocks.flatMap(sanitizeBlock);
 }
+
 function normalizeFileObjects(block) {
   const fileTypes = ['image', 'file', 'pdf', 'video'];
 
@@ -49,13 +175,13 @@ function normalizeFileObjects(block) {
   return block;
 }
 
-// Removes blocks with type === "unsupported"
-function removeUnsupported(block) {
+// Opt-in: drops blocks with type === "unsupported" instead of leaving a placeholder
+function removeUnsupported(block, ctx) {
   if (block.type === 'unsupported') {
-    logger.warn(`Dropping unsupported block with id: ${block.id || '[no id]'}`);
-    return false;
+    ctx.report('dropped', 'block type not supported by the API');
+    return null;
   }
-  return true;
+  return block;
 }
 
 // Ensures callout.icon is either undefined or a valid object, not null
@@ -69,28 +195,29 @@ function fixCalloutIcon(block) {
   return block;
 }
 
-// Removes image blocks with data URIs (which are not allowed for uploads)
-function stripDataUrlImages(block) {
+// Removes image blocks with data URIs that cannot be decoded. Valid ones are
+// kept: MediaMigrator uploads them as files.
+function stripDataUrlImages(block, ctx) {
   if (block.type === 'image' && block.image?.type === 'external') {
     const url = block.image.external.url;
-    if (url && url.startsWith('data:')) {
-      logger.warn(`Dropping image block with data URI: ${block.id || '[no id]'}`);
+    if (isDataUrl(url) && !parseDataUrl(url)) {
+      ctx.report('dropped', 'image with a malformed data URI');
       return null; // drop the block entirely
     }
   }
   return block;
 }
 
-function sanitizeRichTextMentions(block) {
+function sanitizeRichTextMentions(block, ctx) {
   const validMentionTypes = new Set([
     'user', 'date', 'page', 'database', 'template_mention', 'custom_emoji'
   ]);
 
-  const container = block[block.type];
-  if (container?.rich_text?.length) {
+  if (block[block.type]?.rich_text?.length) {
+    const container = block[block.type] = { ...block[block.type] };
     container.rich_text = container.rich_text.map(item => {
       if (item.type === 'mention' && !validMentionTypes.has(item.mention?.type)) {
-        logger.debug(`Sanitizing unsupported mention type: ${item.mention?.type || 'unknown'}`);
+        ctx.report('altered', `${item.mention?.type || 'unknown'} mention converted to text`);
         return {
           type: 'text',
           text: {
@@ -108,8 +235,99 @@ function sanitizeRichTextMentions(block) {
   return block;
 }
 
+// Splits a text run into pieces of at most MAX_TEXT_LENGTH characters,
+// preferring whitespace near the end of each piece and never cutting a
+// surrogate pair. Every piece keeps the run's annotations and link.
+function splitTextItem(item) {
+  const content = item.text?.content ?? '';
+  if (item.type !== 'text' || content.length <= MAX_TEXT_LENGTH) return [item];
+
+  const pieces = [];
+  let rest = content;
+  while (rest.length > MAX_TEXT_LENGTH) {
+    let cut = MAX_TEXT_LENGTH;
+    const space = rest.lastIndexOf(' ', MAX_TEXT_LENGTH - 1);
+    const newline = rest.lastIndexOf('\n', MAX_TEXT_LENGTH - 1);
+    const soft = Math.max(space, newline);
+    if (soft > MAX_TEXT_LENGTH * 0.8) cut = soft + 1;
+    else if (/[\uD800-\uDBFF]/.test(rest[cut - 1])) cut -= 1;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  pieces.push(rest);
+
+  return pieces.map(piece => ({
+    ...item,
+    text: { ...item.text, content: piece },
+    ...(item.plain_text !== undefined && { plain_text: piece })
+  }));
+}
+
+function splitRichText(richText) {
+  return richText.flatMap(splitTextItem);
+}
+
+// Applies the 2000-character limit to every rich text array in the block
+function limitRichTextLengths(block) {
+  if (!block[block.type] || typeof block[block.type] !== 'object') return block;
+  const container = block[block.type] = { ...block[block.type] }; // don't touch the source tree
+  for (const key of ['rich_text', 'caption']) {
+    if (Array.isArray(container[key]) && container[key].some(i => (i.text?.content?.length || 0) > MAX_TEXT_LENGTH)) {
+      logger.debug(`Splitting text runs over ${MAX_TEXT_LENGTH} characters in ${block.type} ${block.id || '[no id]'}`);
+      container[key] = splitRichText(container[key]);
+    }
+  }
+  if (Array.isArray(container.cells)) {
+    container.cells = container.cells.map(splitRichText);
+  }
+  return block;
+}
+
+// Blocks with more than MAX_RICH_TEXT_ITEMS rich text items become
+// consecutive blocks of the same type; nested children stay with the last
+// one so they still follow the text. Other arrays that cannot be split are
+// truncated with a warning.
+function splitOversizedBlock(block, ctx) {
+  if (!block[block.type] || typeof block[block.type] !== 'object') return [block];
+  const container = block[block.type] = { ...block[block.type] };
+
+  if (Array.isArray(container.caption) && container.caption.length > MAX_RICH_TEXT_ITEMS) {
+    ctx.report('truncated', `caption cut to ${MAX_RICH_TEXT_ITEMS} of ${container.caption.length} rich text items`);
+    container.caption = container.caption.slice(0, MAX_RICH_TEXT_ITEMS);
+  }
+  if (Array.isArray(container.cells)) {
+    container.cells = container.cells.map(cell => {
+      if (cell.length <= MAX_RICH_TEXT_ITEMS) return cell;
+      ctx.report('truncated', `table cell cut to ${MAX_RICH_TEXT_ITEMS} of ${cell.length} rich text items`);
+      return cell.slice(0, MAX_RICH_TEXT_ITEMS);
+    });
+  }
+
+  const richText = container.rich_text;
+  if (!Array.isArray(richText) || richText.length <= MAX_RICH_TEXT_ITEMS) return [block];
+  if (!SPLITTABLE_TYPES.has(block.type)) {
+    ctx.report('truncated', `cut to ${MAX_RICH_TEXT_ITEMS} of ${richText.length} rich text items`);
+    container.rich_text = richText.slice(0, MAX_RICH_TEXT_ITEMS);
+    return [block];
+  }
+
+  const chunks = [];
+  for (let i = 0; i < richText.length; i += MAX_RICH_TEXT_ITEMS) {
+    chunks.push(richText.slice(i, i + MAX_RICH_TEXT_ITEMS));
+  }
+  ctx.report('split', `${richText.length} rich text items split into ${chunks.length} blocks`);
+
+  const { children, id, ...rest } = block;
+  return chunks.map((chunk, i) => ({
+    ...rest,
+    ...(i === 0 && id && { id }),
+    [block.type]: { ...container, rich_text: chunk },
+    ...(i === chunks.length - 1 && children && { children })
+  }));
+}
+
 // Removes image or file blocks missing both external and file_upload sources
-function stripInvalidFileBlocks(block) {
+function stripInvalidFileBlocks(block, ctx) {
   if (
     block.type === 'image' &&
     !(
@@ -118,7 +336,7 @@ function stripInvalidFileBlocks(block) {
       block.image?.file_upload?.id
     )
   ) {
-    logger.warn(`Dropping invalid image block missing sources: ${block.id || '[no id]'}`);
+    ctx.report('dropped', 'image without a source');
     return null;
   }
   if (
@@ -128,10 +346,102 @@ function stripInvalidFileBlocks(block) {
       block.file?.file_upload?.id
     )
   ) {
-    logger.warn(`Dropping invalid file block missing sources: ${block.id || '[no id]'}`);
+    ctx.report('dropped', 'file without a source');
     return null;
   }
   return block;
 }
 
-module.exports = sanitizeBlocks;
\ No newline at end of file
+/**
+ * Callout standing in for a block that cannot be written; keeps the source
+ * block ID and any children.
+ * @param {Object} block
+ * @param {string} [reason]
+ * @returns {Object}
+ */
+function placeholderCallout(block, reason = 'cannot be created through the API') {
+  const content = `${block.type} block not migrated: ${reason} (source block ${block.id || 'unknown'})`;
+  return {
+    ...(block.id && { id: block.id }),
+    type: 'callout',
+    callout: {
+      rich_text: [{ type: 'text', text: { content, link: null }, annotations: DEFAULT_ANNOTATIONS, plain_text: content, href: null }],
+      icon: { type: 'emoji', emoji: '🚧' },
+      color: 'gray_background'
+    },
+    ...(block.children?.length && { children: block.children })
+  };
+}
+
+// link_preview blocks are read-only; a bookmark keeps the URL
+function linkPreviewToBookmark(block, ctx) {
+  if (block.type !== 'link_preview') return block;
+  const url = block.link_preview?.url;
+  if (!url) return block;
+  ctx.report('altered', 'link preview converted to a bookmark');
+  const { link_preview, ...rest } = block;
+  return { ...rest, type: 'bookmark', bookmark: { url, caption: [] } };
+}
+
+// Blocks the API cannot create (unsupported, template, AI blocks…) become a
+// callout that says what was there
+function placeholderUnrepresentable(block, ctx) {
+  if (WRITABLE_TYPES.has(block.type)) return block;
+  ctx.report('altered', 'replaced by a placeholder callout');
+  return placeholderCallout(block);
+}
+
+// The API needs at least two columns, each with content
+function normalizeColumnLists(block, ctx) {
+  if (block.type !== 'column_list') return block;
+  const columns = (block.children || []).filter(c => c.type === 'column' && c.children?.length);
+  if (columns.length >= 2) {
+    return columns.length === block.children.length ? block : { ...block, children: columns };
+  }
+  ctx.report('altered', 'column layout with fewer than two columns flattened');
+  return columns.flatMap(c => c.children);
+}
+
+// Optional: paragraphs with no text and no children (spacer lines)
+function dropEmptyParagraphs(block, ctx) {
+  if (block.type !== 'paragraph' || block.children?.length) return block;
+  const text = (block.paragraph?.rich_text || []).map(i => i.plain_text ?? i.text?.content ?? '').join('');
+  if (text.trim()) return block;
+  ctx.report('dropped', 'empty paragraph');
+  return null;
+}
+
+/**
+ * One summary line per page for a sanitizer report (nothing when empty).
+ * @param {Object} log – pino logger
+ * @param {Array<Object>} report – entries from sanitizeBlocks()
+ */
+function logDropReport(log, report) {
+  if (!report.length) return;
+  const counts = report.reduce((acc, e) => ({ ...acc, [e.action]: (acc[e.action] || 0) + 1 }), {});
+  const summary = Object.entries(counts).map(([action, n]) => `${n} ${action}`).join(', ');
+  const level = counts.dropped || counts.truncated ? 'warn' : 'info';
+  log[level]({ event: 'blocks_dropped', ...counts }, `✂️ Blocks not carried over as is: ${summary}`);
+}
+
+registerRule('link_preview_to_bookmark', linkPreviewToBookmark);
+registerRule('placeholder_unrepresentable', placeholderUnrepresentable);
+registerRule('remove_unsupported', removeUnsupported);
+registerRule('fix_callout_icon', fixCalloutIcon);
+registerRule('strip_data_url_images', stripDataUrlImages);
+registerRule('sanitize_mentions', sanitizeRichTextMentions);
+registerRule('normalize_file_objects', normalizeFileObjects);
+registerRule('strip_invalid_file_blocks', stripInvalidFileBlocks);
+registerRule('normalize_column_lists', normalizeColumnLists);
+registerRule('limit_text_length', limitRichTextLengths);
+registerRule('split_oversized', splitOversizedBlock);
+registerRule('drop_empty_paragraphs', dropEmptyParagraphs);
+
+module.exports = {
+  sanitizeBlocks,
+  registerRule,
+  resolveRules,
+  logDropReport,
+  placeholderCallout,
+  DEFAULT_RULES
+};
@@ -0,0 +1,23 @@
+// services/create_link_store.js
+// ----------------------------
+// Picks the LinkStore backend from the environment:
+//   LINK_STORE_BACKEND=json   (default) – one JSON shard per sourceId under dir
+//   LINK_STORE_BACKEND=sqlite           – SQLite file at LINK_STORE_SQLITE_PATH
+//                                         (default: <dir>/links.sqlite)
+
+const path = require('path');
+const LinkStore = require('./link_store');
+
+module.exports = function createLinkStore (dir, logger) {
+    const backend = (process.env.LINK_STORE_BACKEND || 'json').toLowerCase();
+
+    if (backend === 'sqlite') {
+        const SqliteLinkStore = require('./sqlite_link_store');
+        const file = process.env.LINK_STORE_SQLITE_PATH || path.join(dir, 'links.sqlite');
+        return new SqliteLinkStore(file, logger);
+    }
+    if (backend !== 'json') {
+        throw new Error(`Unknown LINK_STORE_BACKEND "${backend}" (expected json or sqlite)`);
+    }
+    return new LinkStore(dir, logger);
+};
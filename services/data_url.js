@@ -0,0 +1,41 @@
+// services/data_url.js
+// --------------------
+// Decodes `data:` URLs (pasted screenshots in source pages) into bytes plus a
+// content-addressed file name, so the same image always uploads – and diffs –
+// under the same name: pasted-<first 12 hex of sha256>.<ext>.
+
+const crypto = require('crypto');
+const mime = require('mime-types');
+
+const DATA_URL = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s;
+
+const isDataUrl = url => typeof url === 'string' && url.startsWith('data:');
+
+/**
+ * @param {string} url
+ * @returns {{ contentType: string, buffer: Buffer, sha256: string, filename: string }|null}
+ *          null when the URL is not a usable data URL (malformed or empty)
+ */
+function parseDataUrl(url) {
+    if (!isDataUrl(url)) return null;
+    const match = DATA_URL.exec(url);
+    if (!match) return null;
+    const contentType = (match[1] || 'text/plain').toLowerCase();
+    const base64 = match[2].split(';').includes('base64');
+
+    let buffer;
+    try {
+        buffer = base64
+            ? Buffer.from(match[3].replace(/\s+/g, ''), 'base64')
+            : Buffer.from(decodeURIComponent(match[3]), 'utf-8');
+    } catch {
+        return null;
+    }
+    if (!buffer.length) return null;
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const ext = mime.extension(contentType) || 'bin';
+    return { contentType, buffer, sha256, filename: `pasted-${sha256.slice(0, 12)}.${ext}` };
+}
+
+module.exports = { isDataUrl, parseDataUrl };
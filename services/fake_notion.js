@@ -0,0 +1,1105 @@
+// services/fake_notion.js
+// ----------------------
+// In-memory stand-in for the slice of the Notion API this project uses, so a
+// whole migration / delta-sync run can be executed and asserted against
+// seeded source and target databases without touching a workspace.
+//
+//   const fake = new FakeNotion();
+//   const src  = fake.seedDatabase({ title: 'APT', properties: { Name: { title: {} } } });
+//   fake.seedPage({ databaseId: src.id, properties: { Name: 'Write docs' } });
+//   require('./notion_client').useBackend(fake);
+//
+// Implemented: databases.query/retrieve/update (select options only),
+// databases.create (under a page, listed as a child_database block), pages.create/update/retrieve
+// (subpages are listed as child_page blocks),
+// pages.properties.retrieve, blocks.retrieve/update/delete,
+// blocks.children.list/append, users.list, request() for file_uploads and
+// httpFetch() for the raw upload/download calls made by MediaMigrator.
+//
+// Objects come back in the API's read shape. Writes are validated against
+// the limits real runs have tripped over: unknown properties, type
+// mismatches, missing status options, 2000-char rich text, 100-item arrays,
+// two levels of nesting per append, non-creatable block types, tables without
+// rows, column lists without two filled columns and synced block references to
+// unknown originals. Errors are
+// the SDK's APIResponseError with the same code/status Notion returns.
+
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { APIResponseError } = require('@notionhq/client');
+const { Response } = require('node-fetch');
+
+const API_BASE = 'https://api.notion.com/v1';
+const MAX_RICH_TEXT = 2000;
+const MAX_ARRAY = 100;
+const MAX_APPEND_DEPTH = 3; // a block + two levels of nested children
+
+// Property types whose values Notion computes; writing them is rejected
+const READ_ONLY_TYPES = new Set([
+    'formula', 'rollup', 'created_time', 'created_by', 'last_edited_time',
+    'last_edited_by', 'unique_id', 'button', 'verification'
+]);
+
+// Block types the API lists but will not create
+const NON_CREATABLE_BLOCKS = new Set([
+    'child_page', 'child_database', 'link_preview', 'unsupported', 'template'
+]);
+
+const MEDIA_BLOCKS = new Set(['image', 'file', 'pdf', 'video', 'audio']);
+
+const DEFAULT_ANNOTATIONS = {
+    bold: false, italic: false, strikethrough: false,
+    underline: false, code: false, color: 'default'
+};
+
+/* ── helpers ───────────────────────────────────────────────────────── */
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function apiError(status, code, message) {
+    return new APIResponseError({
+        code,
+        status,
+        message,
+        headers: new Headers(),
+        rawBodyText: JSON.stringify({ object: 'error', status, code, message })
+    });
+}
+
+const notFound = id => apiError(404, 'object_not_found',
+    `Could not find object with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`);
+
+const invalid = message => apiError(400, 'validation_error', message);
+
+// Notion normalises IDs with or without dashes
+function normalizeId(id) {
+    const hex = String(id || '').replace(/-/g, '').toLowerCase();
+    if (!/^[0-9a-f]{32}$/.test(hex)) return String(id || '');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function paginate(items, { start_cursor, page_size } = {}) {
+    const size = Math.min(Math.max(Number(page_size) || MAX_ARRAY, 1), MAX_ARRAY);
+    const start = start_cursor ? Number(start_cursor) : 0;
+    const results = items.slice(start, start + size);
+    const next = start + size;
+    return {
+        object: 'list',
+        results,
+        next_cursor: next < items.length ? String(next) : null,
+        has_more: next < items.length
+    };
+}
+
+function plainText(richText) {
+    return (richText || []).map(rt => rt.plain_text).join('');
+}
+
+/** Rich text in write (or read) shape → read shape, enforcing API limits. */
+function readRichText(items, where) {
+    if (!Array.isArray(items)) throw invalid(`${where} should be an array of rich text objects.`);
+    if (items.length > MAX_ARRAY) {
+        throw invalid(`${where}.length should be ≤ \`${MAX_ARRAY}\`, instead was \`${items.length}\`.`);
+    }
+    return items.map((item, i) => {
+        const type = item.type || (item.mention ? 'mention' : item.equation ? 'equation' : 'text');
+        const annotations = { ...DEFAULT_ANNOTATIONS, ...(item.annotations || {}) };
+        if (type === 'text') {
+            const content = item.text?.content ?? '';
+            if (content.length > MAX_RICH_TEXT) {
+                throw invalid(`${where}[${i}].text.content.length should be ≤ \`${MAX_RICH_TEXT}\`, instead was \`${content.length}\`.`);
+            }
+            const link = item.text?.link || null;
+            return {
+                type: 'text',
+                text: { content, link },
+                annotations,
+                plain_text: content,
+                href: link?.url || null
+            };
+        }
+        if (type === 'equation') {
+            return {
+                type, equation: clone(item.equation), annotations,
+                plain_text: item.equation?.expression || '', href: null
+            };
+        }
+        return {
+            type, [type]: clone(item[type]), annotations,
+            plain_text: item.plain_text ?? '', href: item.href || null
+        };
+    });
+}
+
+/* ── query filters & sorts ─────────────────────────────────────────── */
+function compareDates(value, cond) {
+    const [op, arg] = Object.entries(cond)[0] || [];
+    if (op === 'is_empty') return !value;
+    if (op === 'is_not_empty') return Boolean(value);
+    if (!value) return false;
+    const a = new Date(value).getTime();
+    const b = new Date(arg).getTime();
+    switch (op) {
+        case 'equals':       return a === b;
+        case 'before':       return a < b;
+        case 'after':        return a > b;
+        case 'on_or_before': return a <= b;
+        case 'on_or_after':  return a >= b;
+        default: throw invalid(`FakeNotion: unsupported date filter "${op}"`);
+    }
+}
+
+function compareText(value, cond) {
+    const [op, arg] = Object.entries(cond)[0] || [];
+    const v = value || '';
+    switch (op) {
+        case 'equals':           return v === arg;
+        case 'does_not_equal':   return v !== arg;
+        case 'contains':         return v.toLowerCase().includes(String(arg).toLowerCase());
+        case 'does_not_contain': return !v.toLowerCase().includes(String(arg).toLowerCase());
+        case 'starts_with':      return v.startsWith(arg);
+        case 'ends_with':        return v.endsWith(arg);
+        case 'is_empty':         return !v;
+        case 'is_not_empty':     return Boolean(v);
+        default: throw invalid(`FakeNotion: unsupported text filter "${op}"`);
+    }
+}
+
+function compareNumber(value, cond) {
+    const [op, arg] = Object.entries(cond)[0] || [];
+    switch (op) {
+        case 'equals':                   return value === arg;
+        case 'does_not_equal':           return value !== arg;
+        case 'greater_than':             return value !== null && value > arg;
+        case 'less_than':                return value !== null && value < arg;
+        case 'greater_than_or_equal_to': return value !== null && value >= arg;
+        case 'less_than_or_equal_to':    return value !== null && value <= arg;
+        case 'is_empty':                 return value === null;
+        case 'is_not_empty':             return value !== null;
+        default: throw invalid(`FakeNotion: unsupported number filter "${op}"`);
+    }
+}
+
+function compareList(values, cond) {
+    const [op, arg] = Object.entries(cond)[0] || [];
+    switch (op) {
+        case 'contains':         return values.includes(arg);
+        case 'does_not_contain': return !values.includes(arg);
+        case 'is_empty':         return values.length === 0;
+        case 'is_not_empty':     return values.length > 0;
+        default: throw invalid(`FakeNotion: unsupported list filter "${op}"`);
+    }
+}
+
+function propertyValue(prop) {
+    switch (prop.type) {
+        case 'title':
+        case 'rich_text':        return plainText(prop[prop.type]);
+        case 'select':
+        case 'status':           return prop[prop.type]?.name ?? null;
+        case 'multi_select':     return prop.multi_select.map(o => o.name);
+        case 'relation':
+        case 'people':           return prop[prop.type].map(r => r.id);
+        case 'date':             return prop.date?.start ?? null;
+        case 'created_time':
+        case 'last_edited_time': return prop[prop.type];
+        case 'unique_id':        return prop.unique_id.number;
+        default:                 return prop[prop.type] ?? null;
+    }
+}
+
+function matches(page, filter) {
+    if (!filter) return true;
+    if (filter.and) return filter.and.every(f => matches(page, f));
+    if (filter.or)  return filter.or.some(f => matches(page, f));
+
+    if (filter.timestamp) {
+        return compareDates(page[filter.timestamp], filter[filter.timestamp]);
+    }
+
+    const prop = page.properties[filter.property];
+    if (!prop) throw invalid(`Could not find property with name or id: ${filter.property}`);
+    const kind = Object.keys(filter).find(k => k !== 'property');
+    const cond = filter[kind];
+    const value = propertyValue(prop);
+
+    switch (kind) {
+        case 'title': case 'rich_text': case 'url': case 'email': case 'phone_number':
+            return compareText(value, cond);
+        case 'number': case 'unique_id':
+            return compareNumber(value, cond);
+        case 'checkbox':
+            return 'equals' in cond ? value === cond.equals : value !== cond.does_not_equal;
+        case 'select': case 'status':
+            if ('is_empty' in cond) return value === null;
+            if ('is_not_empty' in cond) return value !== null;
+            return 'equals' in cond ? value === cond.equals : value !== cond.does_not_equal;
+        case 'multi_select': case 'relation': case 'people':
+            return compareList(value, cond);
+        case 'date': case 'created_time': case 'last_edited_time':
+            return compareDates(value, cond);
+        default:
+            throw invalid(`FakeNotion: unsupported filter type "${kind}"`);
+    }
+}
+
+function sortPages(pages, sorts = []) {
+    if (!sorts.length) return pages;
+    return [...pages].sort((a, b) => {
+        for (const s of sorts) {
+            const av = s.timestamp ? a[s.timestamp] : propertyValue(a.properties[s.property] || {});
+            const bv = s.timestamp ? b[s.timestamp] : propertyValue(b.properties[s.property] || {});
+            if (av === bv) continue;
+            const dir = s.direction === 'descending' ? -1 : 1;
+            if (av === null || av === undefined) return 1;
+            if (bv === null || bv === undefined) return -1;
+            return (av < bv ? -1 : 1) * dir;
+        }
+        return 0;
+    });
+}
+
+/* ── the fake ──────────────────────────────────────────────────────── */
+class FakeNotion {
+    /**
+     * @param {Object}   [options]
+     * @param {Function} [options.now]     – clock, for deterministic timestamps
+     * @param {string}   [options.botId]   – ID of the integration's bot user
+     * @param {string}   [options.fileHost] – base URL for Notion-hosted files
+     */
+    constructor({ now = () => new Date(), botId = crypto.randomUUID(), fileHost = 'https://fake-notion.local/files' } = {}) {
+        this.now = now;
+        this.fileHost = fileHost;
+        this.databasesById = new Map();
+        this.pagesById     = new Map();
+        this.blocksById    = new Map(); // block ID → { block, childIds }
+        this.childIds      = new Map(); // page/block ID → [child block IDs]
+        this.uploads       = new Map();
+        this.files         = new Map(); // url → { body: Buffer, contentType }
+        this.userRecords   = [{ object: 'user', id: botId, type: 'bot', name: 'Fake integration', bot: {} }];
+        this.botId         = botId;
+        this.calls         = [];        // { method, args } – for assertions
+
+        const track = (method, fn) => async (args = {}) => {
+            this.calls.push({ method, args: clone(args) });
+            return clone(await fn(args));
+        };
+
+        this.databases = {
+            query:    track('databases.query',    a => this._queryDatabase(a)),
+            retrieve: track('databases.retrieve', a => this._database(a.database_id)),
+            update:   track('databases.update',   a => this._updateDatabase(a)),
+            create:   track('databases.create',   a => this._createDatabase(a))
+        };
+        this.pages = {
+            create:   track('pages.create',   a => this._createPage(a)),
+            update:   track('pages.update',   a => this._updatePage(a)),
+            retrieve: track('pages.retrieve', a => this._page(a.page_id)),
+            properties: {
+                retrieve: track('pages.properties.retrieve', a => this._retrieveProperty(a))
+            }
+        };
+        this.blocks = {
+            retrieve: track('blocks.retrieve', a => this._block(a.block_id).block),
+            update:   track('blocks.update',   a => this._updateBlock(a)),
+            delete:   track('blocks.delete',   a => this._updateBlock({ block_id: a.block_id, archived: true })),
+            children: {
+                list:   track('blocks.children.list',   a => this._listChildren(a)),
+                append: track('blocks.children.append', a => this._appendChildren(a))
+            }
+        };
+        this.users = {
+            list: track('users.list', a => paginate(this.userRecords, a))
+        };
+        this.request = track('request', a => this._request(a));
+        this.httpFetch = (url, opts) => this._httpFetch(url, opts);
+    }
+
+    _timestamp() {
+        // Notion reports page/block edit times at minute precision
+        const d = new Date(this.now());
+        d.setUTCSeconds(0, 0);
+        return d.toISOString();
+    }
+
+    /* ── seeding & inspection ──────────────────────────────────────── */
+
+    /**
+     * Add a database. `properties` uses the API's schema shape, keyed by name:
+     * { Name: { title: {} }, Status: { status: { options: [{ name: 'Done' }] } } }
+     * @returns {Object} the database object
+     */
+    seedDatabase({ id = crypto.randomUUID(), title = 'Untitled', properties = {} }) {
+        const dbId = normalizeId(id);
+        const schema = {};
+        for (const [name, def] of Object.entries(properties)) {
+            const type = def.type || Object.keys(def).find(k => k !== 'id' && k !== 'name');
+            const config = clone(def[type] || {});
+            if (['select', 'multi_select', 'status'].includes(type)) {
+                config.options = (config.options || []).map(o => ({
+                    id: o.id || crypto.randomUUID(),
+                    name: o.name,
+                    color: o.color || 'default',
+                    ...(o.description !== undefined && { description: o.description })
+                }));
+            }
+            schema[name] = { id: def.id || crypto.randomBytes(3).toString('hex'), name, type, [type]: config };
+        }
+        if (!Object.values(schema).some(p => p.type === 'title')) {
+            throw new Error('FakeNotion.seedDatabase: a database needs a title property');
+        }
+        const ts = this._timestamp();
+        const db = {
+            object: 'database',
+            id: dbId,
+            created_time: ts,
+            last_edited_time: ts,
+            title: readRichText([{ text: { content: title } }], 'title'),
+            properties: schema,
+            parent: { type: 'workspace', workspace: true },
+            archived: false,
+            in_trash: false,
+            url: `https://www.notion.so/${dbId.replace(/-/g, '')}`,
+            uniqueIdSeq: 0
+        };
+        this.databasesById.set(dbId, db);
+        return this._publicDatabase(db);
+    }
+
+    /**
+     * Add a page. Property values may be full write-shape objects or plain
+     * shorthands: string → title/rich_text/select/status/url, array of names
+     * → multi_select, array of IDs → relation/people, number, boolean, date string.
+     * @returns {Object} the page object
+     */
+    seedPage({ databaseId, parentPageId, id, properties = {}, icon = null, cover = null,
+        children = [], createdTime, lastEditedTime }) {
+        const parent = databaseId ? { database_id: databaseId } : { page_id: parentPageId };
+        let written;
+        if (databaseId) {
+            const db = this._dbRecord(databaseId);
+            written = {};
+            for (const [name, value] of Object.entries(properties)) {
+                const def = db.properties[name];
+                written[name] = def ? this._expandShorthand(def, value) : value;
+            }
+        } else {
+            written = properties;
+        }
+        const page = this._createPageSync({ parent, properties: written, icon, cover, children, id });
+        if (createdTime) page.created_time = new Date(createdTime).toISOString();
+        if (lastEditedTime || createdTime) {
+            page.last_edited_time = new Date(lastEditedTime || createdTime).toISOString();
+        }
+        this._refreshTimestamps(page);
+        return clone(page);
+    }
+
+    /** Add a workspace member (person) or bot. */
+    seedUser({ id = crypto.randomUUID(), name, email, type = 'person', avatar_url = null }) {
+        const user = type === 'person'
+            ? { object: 'user', id: normalizeId(id), type, name, avatar_url, person: { email } }
+            : { object: 'user', id: normalizeId(id), type, name, avatar_url, bot: {} };
+        this.userRecords.push(user);
+        return clone(user);
+    }
+
+    /** Serve `body` at `url` through httpFetch (e.g. a source page's attachment). */
+    seedFile(url, body, contentType = 'application/octet-stream') {
+        this.files.set(url, { body: Buffer.from(body), contentType });
+    }
+
+    /** All pages of a database (archived ones included), in creation order. */
+    listPages(databaseId, { includeArchived = true } = {}) {
+        const dbId = normalizeId(databaseId);
+        return [...this.pagesById.values()]
+            .filter(p => p.parent.database_id === dbId && (includeArchived || !(p.archived || p.in_trash)))
+            .map(clone);
+    }
+
+    /** Live block tree under a page/block, `children` inlined. */
+    blockTree(parentId) {
+        return (this.childIds.get(normalizeId(parentId)) || [])
+            .map(id => this.blocksById.get(id).block)
+            .filter(b => !b.archived)
+            .map(b => ({ ...clone(b), children: this.blockTree(b.id) }));
+    }
+
+    /**
+     * Build a fake from a JSON seed:
+     * { users: [...], databases: [{ id, title, properties, pages: [...] }],
+     *   pages: [{ parentPageId, ... }], files: { url: base64 } }
+     * Top-level `pages` are subpages, seeded after the database rows they sit in.
+     */
+    static fromSeed(seed, options) {
+        const fake = new FakeNotion(options);
+        for (const user of seed.users || []) fake.seedUser(user);
+        for (const db of seed.databases || []) fake.seedDatabase(db);
+        for (const db of seed.databases || []) {
+            for (const page of db.pages || []) fake.seedPage({ ...page, databaseId: db.id });
+        }
+        for (const page of seed.pages || []) fake.seedPage(page);
+        for (const [url, b64] of Object.entries(seed.files || {})) {
+            fake.seedFile(url, Buffer.from(b64, 'base64'));
+        }
+        return fake;
+    }
+
+    /* ── records ───────────────────────────────────────────────────── */
+    _dbRecord(id) {
+        const db = this.databasesById.get(normalizeId(id));
+        if (!db) throw notFound(id);
+        return db;
+    }
+
+    _publicDatabase(db) {
+        const { uniqueIdSeq, ...rest } = db;
+        return clone(rest);
+    }
+
+    _database(id) {
+        return this._publicDatabase(this._dbRecord(id));
+    }
+
+    _pageRecord(id) {
+        const page = this.pagesById.get(normalizeId(id));
+        if (!page) throw notFound(id);
+        return page;
+    }
+
+    _page(id) {
+        return this._pageRecord(id);
+    }
+
+    _block(id) {
+        const entry = this.blocksById.get(normalizeId(id));
+        if (!entry) throw notFound(id);
+        return entry;
+    }
+
+    _container(id) {
+        const key = normalizeId(id);
+        if (this.pagesById.has(key)) {
+            const page = this.pagesById.get(key);
+            if (page.archived || page.in_trash) throw invalid(`Can't edit block that is archived. You must unarchive the block before editing.`);
+            return { key, parent: { type: 'page_id', page_id: key } };
+        }
+        const entry = this._block(key);
+        if (entry.block.archived) throw invalid(`Can't edit block that is archived. You must unarchive the block before editing.`);
+        return { key, parent: { type: 'block_id', block_id: key } };
+    }
+
+    /* ── properties ────────────────────────────────────────────────── */
+    _expandShorthand(def, value) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            switch (def.type) {
+                case 'title':
+                case 'rich_text':    return { [def.type]: [{ text: { content: String(value) } }] };
+                case 'select':
+                case 'status':       return { [def.type]: value === null ? null : { name: value } };
+                case 'multi_select': return { multi_select: value.map(name => ({ name })) };
+                case 'relation':
+                case 'people':       return { [def.type]: value.map(id => ({ id })) };
+                case 'date':         return { date: value === null ? null : { start: value } };
+                default:             return { [def.type]: value };
+            }
+        }
+        return value;
+    }
+
+    _option(db, def, value, name) {
+        const opts = def[def.type].options;
+        const found = opts.find(o => (value.id && o.id === value.id) || (value.name !== undefined && o.name === value.name));
+        if (found) return { id: found.id, name: found.name, color: found.color };
+        if (def.type === 'status' || value.name === undefined) {
+            throw invalid(`Invalid ${def.type} option "${value.name ?? value.id}" for property ${name}.`);
+        }
+        if (value.name.includes(',')) throw invalid(`Invalid select option, commas not allowed: ${value.name}`);
+        // select / multi_select options are created on first use
+        const option = { id: crypto.randomUUID(), name: value.name, color: value.color || 'default' };
+        opts.push(option);
+        return { ...option };
+    }
+
+    _fileObject(file, where) {
+        const uploadId = file.file_upload?.id;
+        if (uploadId) {
+            const upload = this.uploads.get(normalizeId(uploadId));
+            if (!upload || upload.status !== 'uploaded') {
+                throw invalid(`${where}: file upload ${uploadId} is not in uploaded status.`);
+            }
+            return {
+                type: 'file',
+                file: { url: upload.url, expiry_time: new Date(Date.now() + 3600e3).toISOString() }
+            };
+        }
+        if (file.external) {
+            const url = file.external.url || '';
+            if (url.startsWith('data:')) throw invalid(`${where}.external.url is not a valid URL.`);
+            return { type: 'external', external: { url } };
+        }
+        if (file.file) return { type: 'file', file: clone(file.file) };
+        throw invalid(`${where} should be a file_upload or external file object.`);
+    }
+
+    _readProperty(db, name, input) {
+        const def = db.properties[name];
+        const type = def.type;
+        if (READ_ONLY_TYPES.has(type)) {
+            throw invalid(`${name} is a ${type} property and cannot be edited.`);
+        }
+        const value = Array.isArray(input) && type === 'title' ? input : input?.[type];
+        if (input && typeof input === 'object' && !Array.isArray(input) && !(type in input)) {
+            const given = Object.keys(input).find(k => k !== 'id' && k !== 'type');
+            throw invalid(`${name} is expected to be ${type}, not ${given}.`);
+        }
+        const out = { id: def.id, type };
+        switch (type) {
+            case 'title':
+            case 'rich_text':
+                out[type] = readRichText(value || [], `body.properties.${name}.${type}`);
+                break;
+            case 'select':
+            case 'status':
+                out[type] = value ? this._option(db, def, value, name) : null;
+                break;
+            case 'multi_select':
+                if ((value || []).length > MAX_ARRAY) throw invalid(`${name}.multi_select.length should be ≤ ${MAX_ARRAY}.`);
+                out[type] = (value || []).map(v => this._option(db, def, v, name));
+                break;
+            case 'people':
+                out[type] = (value || []).map(p => {
+                    const user = this.userRecords.find(u => u.id === normalizeId(p.id));
+                    if (!user) throw invalid(`body.properties.${name}.people: user ${p.id} is not in this workspace.`);
+                    return { object: 'user', id: user.id };
+                });
+                break;
+            case 'relation':
+                if ((value || []).length > MAX_ARRAY) throw invalid(`${name}.relation.length should be ≤ ${MAX_ARRAY}.`);
+                out[type] = (value || []).map(r => {
+                    const id = normalizeId(r.id);
+                    if (!this.pagesById.has(id)) throw invalid(`body.properties.${name}.relation: page ${r.id} does not exist.`);
+                    return { id };
+                });
+                out.has_more = false;
+                break;
+            case 'files':
+                out[type] = (value || []).map((f, i) => ({
+                    name: f.name || 'file',
+                    ...this._fileObject(f, `body.properties.${name}.files[${i}]`)
+                }));
+                break;
+            case 'number':
+                if (value !== null && value !== undefined && typeof value !== 'number') {
+                    throw invalid(`body.properties.${name}.number should be a number or null.`);
+                }
+                out[type] = value ?? null;
+                break;
+            case 'checkbox':
+                if (typeof value !== 'boolean') throw invalid(`body.properties.${name}.checkbox should be a boolean.`);
+                out[type] = value;
+                break;
+            case 'date':
+                if (value && Number.isNaN(new Date(value.start).getTime())) {
+                    throw invalid(`body.properties.${name}.date.start should be a valid ISO 8601 date string.`);
+                }
+                out[type] = value ? { start: value.start, end: value.end ?? null, time_zone: value.time_zone ?? null } : null;
+                break;
+            default:
+                out[type] = clone(value) ?? null;
+        }
+        return out;
+    }
+
+    _emptyProperty(def, page, db) {
+        const out = { id: def.id, type: def.type };
+        switch (def.type) {
+            case 'title': case 'rich_text': case 'multi_select':
+            case 'people': case 'files':
+                out[def.type] = []; break;
+            case 'relation':
+                out.relation = []; out.has_more = false; break;
+            case 'checkbox':
+                out.checkbox = false; break;
+            case 'created_time':
+                out.created_time = page.created_time; break;
+            case 'last_edited_time':
+                out.last_edited_time = page.last_edited_time; break;
+            case 'created_by': case 'last_edited_by':
+                out[def.type] = { object: 'user', id: this.botId }; break;
+            case 'formula':
+                out.formula = { type: 'string', string: null }; break;
+            case 'rollup':
+                out.rollup = { type: 'array', array: [], function: 'show_original' }; break;
+            case 'unique_id':
+                out.unique_id = { prefix: def.unique_id?.prefix ?? null, number: ++db.uniqueIdSeq }; break;
+            default:
+                out[def.type] = null;
+        }
+        return out;
+    }
+
+    _refreshTimestamps(page) {
+        for (const prop of Object.values(page.properties)) {
+            if (prop.type === 'created_time') prop.created_time = page.created_time;
+            if (prop.type === 'last_edited_time') prop.last_edited_time = page.last_edited_time;
+        }
+    }
+
+    // a row write counts as an edit of its database, as delta sync relies on
+    _touchDatabase(page) {
+        if (page.parent?.type !== 'database_id') return;
+        const db = this._dbRecord(page.parent.database_id);
+        if (page.last_edited_time > db.last_edited_time) db.last_edited_time = page.last_edited_time;
+    }
+
+    _applyProperties(page, db, properties = {}) {
+        for (const [key, input] of Object.entries(properties)) {
+            const name = db.properties[key] ? key
+                : Object.keys(db.properties).find(n => db.properties[n].id === key);
+            if (!name) throw invalid(`${key} is not a property that exists.`);
+            page.properties[name] = this._readProperty(db, name, input);
+        }
+    }
+
+    /* ── pages ─────────────────────────────────────────────────────── */
+    _createPageSync({ parent = {}, properties = {}, icon = null, cover = null, children = [], id }) {
+        const ts = this._timestamp();
+        const page = {
+            object: 'page',
+            id: normalizeId(id || crypto.randomUUID()),
+            created_time: ts,
+            last_edited_time: ts,
+            created_by: { object: 'user', id: this.botId },
+            last_edited_by: { object: 'user', id: this.botId },
+            cover: cover ? clone(cover) : null,
+            icon: icon ? clone(icon) : null,
+            parent: null,
+            archived: false,
+            in_trash: false,
+            properties: {},
+            url: null
+        };
+        page.url = `https://www.notion.so/${page.id.replace(/-/g, '')}`;
+
+        if (parent.database_id) {
+            const db = this._dbRecord(parent.database_id);
+            page.parent = { type: 'database_id', database_id: db.id };
+            for (const [name, def] of Object.entries(db.properties)) {
+                page.properties[name] = this._emptyProperty(def, page, db);
+            }
+            this._applyProperties(page, db, properties);
+        } else if (parent.page_id) {
+            const parentPage = this._pageRecord(parent.page_id);
+            page.parent = { type: 'page_id', page_id: parentPage.id };
+            const title = Array.isArray(properties.title) ? properties.title : properties.title?.title;
+            page.properties.title = {
+                id: 'title', type: 'title',
+                title: readRichText(title || [], 'body.properties.title.title')
+            };
+        } else {
+            throw invalid('body.parent should be defined, instead was `undefined`.');
+        }
+
+        this.pagesById.set(page.id, page);
+        this.childIds.set(page.id, []);
+        this._touchDatabase(page);
+        if (page.parent.type === 'page_id') this._addChildPageBlock(page);
+        if (children.length) this._insertBlocks(page.id, children, null);
+        return page;
+    }
+
+    // the API lists a subpage as a child_page block (same ID) of its parent
+    _addChildPageBlock(page) {
+        const ts = page.created_time;
+        const block = {
+            object: 'block', id: page.id, parent: { type: 'page_id', page_id: page.parent.page_id },
+            created_time: ts, last_edited_time: ts,
+            created_by: { object: 'user', id: this.botId }, last_edited_by: { object: 'user', id: this.botId },
+            has_children: false, archived: false, in_trash: false,
+            type: 'child_page', child_page: { title: plainText(page.properties.title.title) }
+        };
+        this.blocksById.set(block.id, { block });
+        this.childIds.get(page.parent.page_id).push(block.id);
+    }
+
+    // keeps a subpage's child_page block in step with the page
+    _syncChildPageBlock(page) {
+        const block = this.blocksById.get(page.id)?.block;
+        if (block?.type !== 'child_page') return;
+        block.child_page.title = plainText(page.properties.title.title);
+        block.archived = block.in_trash = page.archived;
+        block.last_edited_time = page.last_edited_time;
+    }
+
+    _createPage(args) {
+        return this._createPageSync(args);
+    }
+
+    _updatePage({ page_id, properties, icon, cover, archived, in_trash }) {
+        const page = this._pageRecord(page_id);
+        const restoring = archived === false || in_trash === false;
+        if ((page.archived || page.in_trash) && !restoring) {
+            throw invalid(`Can't edit block that is archived. You must unarchive the block before editing.`);
+        }
+        if (properties) {
+            if (page.parent.type === 'database_id') {
+                this._applyProperties(page, this._dbRecord(page.parent.database_id), properties);
+            } else if (properties.title) {
+                const title = Array.isArray(properties.title) ? properties.title : properties.title.title;
+                page.properties.title.title = readRichText(title, 'body.properties.title.title');
+            }
+        }
+        if (icon !== undefined)  page.icon  = clone(icon);
+        if (cover !== undefined) page.cover = clone(cover);
+        if (archived !== undefined) page.archived = page.in_trash = Boolean(archived);
+        if (in_trash !== undefined) page.archived = page.in_trash = Boolean(in_trash);
+        page.last_edited_time = this._timestamp();
+        this._refreshTimestamps(page);
+        this._touchDatabase(page);
+        this._syncChildPageBlock(page);
+        return page;
+    }
+
+    _retrieveProperty({ page_id, property_id, start_cursor, page_size }) {
+        const page = this._pageRecord(page_id);
+        const prop = Object.values(page.properties).find(p => p.id === property_id)
+            || page.properties[property_id];
+        if (!prop) throw notFound(property_id);
+
+        const item = value => ({ object: 'property_item', id: prop.id, type: prop.type, [prop.type]: value });
+        if (['title', 'rich_text', 'relation', 'people'].includes(prop.type)) {
+            const list = paginate(prop[prop.type].map(item), { start_cursor, page_size });
+            return {
+                ...list,
+                type: 'property_item',
+                property_item: { id: prop.id, next_url: null, type: prop.type, [prop.type]: {} }
+            };
+        }
+        return item(prop[prop.type]);
+    }
+
+    // Databases under a page, as write_task.js recreates inline databases.
+    // Status properties are rejected like the API does.
+    _createDatabase({ parent = {}, title = [], properties = {}, is_inline = false }) {
+        if (!parent.page_id) throw invalid('body.parent.page_id should be defined, instead was `undefined`.');
+        const page = this._pageRecord(parent.page_id);
+        for (const [name, def] of Object.entries(properties)) {
+            if (def.status) throw invalid(`${name}: status properties cannot be created through the API.`);
+        }
+        const text = plainText(readRichText(title, 'body.title'));
+        const db = this._dbRecord(this.seedDatabase({ title: text, properties }).id);
+        db.parent = { type: 'page_id', page_id: page.id };
+        db.is_inline = Boolean(is_inline);
+
+        // the API lists the new database as the page's last block
+        const ts = this._timestamp();
+        const block = {
+            object: 'block', id: db.id, parent: { type: 'page_id', page_id: page.id },
+            created_time: ts, last_edited_time: ts,
+            created_by: { object: 'user', id: this.botId }, last_edited_by: { object: 'user', id: this.botId },
+            has_children: false, archived: false, in_trash: false,
+            type: 'child_database', child_database: { title: text }
+        };
+        this.blocksById.set(block.id, { block });
+        this.childIds.set(block.id, []);
+        this.childIds.get(page.id).push(block.id);
+        return this._publicDatabase(db);
+    }
+
+    // Only what option provisioning needs: replacing select / multi_select
+    // options. Status options cannot be changed through the API.
+    _updateDatabase({ database_id, properties = {} }) {
+        const db = this._dbRecord(database_id);
+        for (const [name, change] of Object.entries(properties)) {
+            const def = db.properties[name];
+            if (!def) throw invalid(`${name} is not a property that exists.`);
+            const type = Object.keys(change).find(k => k !== 'name');
+            if (type !== def.type) throw invalid(`Changing the type of ${name} is not supported here.`);
+            if (type === 'status') throw invalid(`Cannot update status options of ${name} via the API.`);
+            if (type !== 'select' && type !== 'multi_select') continue;
+
+            const current = def[type].options;
+            def[type].options = (change[type].options || []).map(o => {
+                const found = current.find(c => (o.id && c.id === o.id) || c.name === o.name);
+                if (!found && o.name.includes(',')) throw invalid(`Invalid select option, commas not allowed: ${o.name}`);
+                return { id: found?.id || crypto.randomUUID(), name: o.name, color: found?.color || o.color || 'default' };
+            });
+        }
+        db.last_edited_time = this._timestamp();
+        return this._publicDatabase(db);
+    }
+
+    _queryDatabase({ database_id, filter, sorts, start_cursor, page_size }) {
+        const db = this._dbRecord(database_id);
+        const pages = [...this.pagesById.values()].filter(p =>
+            p.parent.database_id === db.id && !p.archived && !p.in_trash && matches(p, filter)
+        );
+        return { ...paginate(sortPages(pages, sorts), { start_cursor, page_size }), type: 'page_or_database', page_or_database: {} };
+    }
+
+    /* ── blocks ────────────────────────────────────────────────────── */
+    _readBlock(input, parent, depth, where) {
+        const type = input.type || Object.keys(input).find(k => !['object', 'children', 'has_children'].includes(k));
+        if (!type || !input[type]) throw invalid(`${where} should be a block object.`);
+        if (NON_CREATABLE_BLOCKS.has(type)) {
+            throw invalid(`${where}.type: \`${type}\` blocks cannot be created through the API.`);
+        }
+        const { children, ...rest } = input[type];
+        const nested = children || input.children || [];
+        if (nested.length && depth >= MAX_APPEND_DEPTH) {
+            throw invalid(`${where}.${type}.children should be not present, instead was \`[…]\`. (max two levels of nesting)`);
+        }
+        if (nested.length > MAX_ARRAY) {
+            throw invalid(`${where}.${type}.children.length should be ≤ \`${MAX_ARRAY}\`, instead was \`${nested.length}\`.`);
+        }
+        this._checkStructure(type, rest, nested, where);
+
+        const content = clone(rest);
+        for (const key of ['rich_text', 'caption']) {
+            if (content[key]) content[key] = readRichText(content[key], `${where}.${type}.${key}`);
+        }
+        if (MEDIA_BLOCKS.has(type)) {
+            delete content.external;
+            delete content.file;
+            delete content.file_upload;
+            Object.assign(content, this._fileObject(rest, `${where}.${type}`));
+        }
+
+        const ts = this._timestamp();
+        const block = {
+            object: 'block',
+            id: crypto.randomUUID(),
+            parent,
+            created_time: ts,
+            last_edited_time: ts,
+            created_by: { object: 'user', id: this.botId },
+            last_edited_by: { object: 'user', id: this.botId },
+            has_children: false,
+            archived: false,
+            in_trash: false,
+            type,
+            [type]: content
+        };
+        return { block, nested };
+    }
+
+    // Blocks the API only accepts together with their children
+    _checkStructure(type, content, nested, where) {
+        const typeOf = b => b.type || Object.keys(b).find(k => !['object', 'children', 'has_children'].includes(k));
+        if (type === 'table') {
+            if (!nested.length) throw invalid(`${where}.table.children should be defined, instead was \`undefined\`.`);
+            for (const [i, row] of nested.entries()) {
+                if (typeOf(row) !== 'table_row') throw invalid(`${where}.table.children[${i}] should be a table_row.`);
+                if ((row.table_row.cells || []).length !== content.table_width) {
+                    throw invalid(`${where}.table.children[${i}].table_row.cells.length should be ${content.table_width}.`);
+                }
+            }
+        }
+        if (type === 'column_list') {
+            if (nested.length < 2 || nested.some(c => typeOf(c) !== 'column')) {
+                throw invalid(`${where}.column_list.children should contain at least 2 columns.`);
+            }
+            nested.forEach((c, i) => {
+                if (!(c.column?.children || c.children || []).length) {
+                    throw invalid(`${where}.column_list.children[${i}].column.children should be defined, instead was \`undefined\`.`);
+                }
+            });
+        }
+        if (type === 'synced_block' && content.synced_from) {
+            if (nested.length) throw invalid(`${where}.synced_block.children should be not present for a synced block reference.`);
+            const original = this.blocksById.get(normalizeId(content.synced_from.block_id))?.block;
+            if (original?.type !== 'synced_block' || original.synced_block.synced_from) {
+                throw invalid(`${where}.synced_block.synced_from: ${content.synced_from.block_id} is not an original synced block.`);
+            }
+        }
+    }
+
+    // Inserts blocks (and their inline children) under a page or block
+    _insertBlocks(parentId, blocks, after, depth = 1, where = 'body.children') {
+        if (blocks.length > MAX_ARRAY) {
+            throw invalid(`${where}.length should be ≤ \`${MAX_ARRAY}\`, instead was \`${blocks.length}\`.`);
+        }
+        const { key, parent } = this._container(parentId);
+        const siblings = this.childIds.get(key);
+        let at = siblings.length;
+        if (after) {
+            const idx = siblings.indexOf(normalizeId(after));
+            if (idx === -1) throw invalid(`body.after: block ${after} is not a child of ${parentId}.`);
+            at = idx + 1;
+        }
+
+        // validate the whole batch before touching state, like the API does
+        const prepared = blocks.map((b, i) => this._readBlock(b, parent, depth, `${where}[${i}]`));
+
+        const created = [];
+        for (const [i, { block, nested }] of prepared.entries()) {
+            this.blocksById.set(block.id, { block });
+            this.childIds.set(block.id, []);
+            siblings.splice(at++, 0, block.id);
+            if (nested.length) {
+                this._insertBlocks(block.id, nested, null, depth + 1, `${where}[${i}].${block.type}.children`);
+                block.has_children = true;
+            }
+            created.push(block);
+        }
+        if (this.blocksById.has(key)) this.blocksById.get(key).block.has_children = true;
+        return created;
+    }
+
+    _appendChildren({ block_id, children = [], after }) {
+        const created = this._insertBlocks(block_id, children, after);
+        return { object: 'list', results: created, next_cursor: null, has_more: false, type: 'block', block: {} };
+    }
+
+    _listChildren({ block_id, start_cursor, page_size }) {
+        const key = normalizeId(block_id);
+        if (!this.pagesById.has(key)) this._block(key);
+        const live = (this.childIds.get(key) || [])
+            .map(id => this.blocksById.get(id).block)
+            .filter(b => !b.archived);
+        return { ...paginate(live, { start_cursor, page_size }), type: 'block', block: {} };
+    }
+
+    _updateBlock({ block_id, archived, in_trash, ...rest }) {
+        const { block } = this._block(block_id);
+        if (archived !== undefined || in_trash !== undefined) {
+            block.archived = block.in_trash = Boolean(archived ?? in_trash);
+            // deleting a child_page block moves the subpage to the trash
+            const page = block.type === 'child_page' && this.pagesById.get(block.id);
+            if (page) page.archived = page.in_trash = block.archived;
+        } else if (block.archived) {
+            throw invalid(`Can't edit block that is archived. You must unarchive the block before editing.`);
+        }
+        const type = Object.keys(rest).find(k => k !== 'type');
+        if (type) {
+            if (type !== block.type) throw invalid(`Block type ${type} does not match existing block type ${block.type}.`);
+            const { block: patch } = this._readBlock({ type, [type]: rest[type] }, block.parent, MAX_APPEND_DEPTH, `body`);
+            block[type] = { ...block[type], ...patch[type] };
+        }
+        block.last_edited_time = this._timestamp();
+        const parentKey = block.parent.page_id || block.parent.block_id;
+        const siblings = this.childIds.get(parentKey) || [];
+        if (this.blocksById.has(parentKey)) {
+            this.blocksById.get(parentKey).block.has_children =
+                siblings.some(id => !this.blocksById.get(id).block.archived);
+        }
+        return block;
+    }
+
+    /* ── file uploads ──────────────────────────────────────────────── */
+    _request({ path, method = 'GET', body = {} }) {
+        const [root, id, action] = String(path).replace(/^\/+/, '').split('/');
+        if (root !== 'file_uploads') throw invalid(`FakeNotion: request(${method} ${path}) is not implemented.`);
+        const verb = method.toUpperCase();
+
+        if (!id && verb === 'POST') {
+            const uploadId = crypto.randomUUID();
+            const multi = body.mode === 'multi_part';
+            const upload = {
+                object: 'file_upload',
+                id: uploadId,
+                created_time: this._timestamp(),
+                status: 'pending',
+                filename: body.filename || null,
+                content_type: body.content_type || null,
+                content_length: null,
+                mode: multi ? 'multi_part' : 'single_part',
+                number_of_parts: multi ? { total: body.number_of_parts, sent: 0 } : undefined,
+                upload_url: `${API_BASE}/file_uploads/${uploadId}/send`,
+                complete_url: multi ? `${API_BASE}/file_uploads/${uploadId}/complete` : undefined,
+                parts: []
+            };
+            this.uploads.set(uploadId, upload);
+            return this._publicUpload(upload);
+        }
+
+        const upload = this.uploads.get(normalizeId(id));
+        if (!upload) throw notFound(id);
+        if (!action && verb === 'GET') return this._publicUpload(upload);
+        if (action === 'complete' && verb === 'POST') {
+            if (upload.mode !== 'multi_part' || upload.parts.length !== upload.number_of_parts.total) {
+                throw invalid(`File upload ${id} is missing parts and cannot be completed.`);
+            }
+            this._finishUpload(upload, Buffer.concat(upload.parts.sort((a, b) => a.n - b.n).map(p => p.body)));
+            return this._publicUpload(upload);
+        }
+        throw invalid(`FakeNotion: request(${method} ${path}) is not implemented.`);
+    }
+
+    _publicUpload({ parts, url, body, ...rest }) {
+        return clone(rest);
+    }
+
+    _finishUpload(upload, body) {
+        upload.status = 'uploaded';
+        upload.content_length = body.length;
+        upload.url = `${this.fileHost}/${upload.id}/${encodeURIComponent(upload.filename || 'file')}`;
+        this.files.set(upload.url, { body, contentType: upload.content_type || 'application/octet-stream' });
+    }
+
+    async _httpFetch(url, opts = {}) {
+        this.calls.push({ method: 'httpFetch', args: { url, method: opts.method || 'GET' } });
+        const send = String(url).match(/\/file_uploads\/([0-9a-f-]+)\/send$/);
+        if (send) {
+            const upload = this.uploads.get(normalizeId(send[1]));
+            if (!upload) return jsonResponse(404, { object: 'error', status: 404, code: 'object_not_found' });
+            const raw = await readBody(opts.body);
+            const { filename, file, partNumber } = parseMultipart(raw);
+            if (!upload.filename && filename) upload.filename = filename;
+            if (upload.mode === 'multi_part') {
+                upload.parts.push({ n: partNumber, body: file });
+                upload.number_of_parts.sent = upload.parts.length;
+            } else {
+                this._finishUpload(upload, file);
+            }
+            return jsonResponse(200, this._publicUpload(upload));
+        }
+
+        const file = this.files.get(url);
+        if (!file) return new Response('Not Found', { status: 404, statusText: 'Not Found' });
+        return new Response(file.body, { status: 200, headers: { 'content-type': file.contentType } });
+    }
+}
+
+/* ── raw HTTP helpers ──────────────────────────────────────────────── */
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+async function readBody(body) {
+    if (!body) return Buffer.alloc(0);
+    if (Buffer.isBuffer(body) || typeof body === 'string') return Buffer.from(body);
+    const sink = new PassThrough();
+    body.pipe(sink);
+    const chunks = [];
+    for await (const chunk of sink) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+}
+
+// Minimal multipart/form-data reader for the `file` and `part_number` fields
+function parseMultipart(raw) {
+    const boundary = raw.toString('latin1').match(/^--([^\r\n]+)/)?.[1];
+    if (!boundary) return { file: raw, filename: null, partNumber: 1 };
+    const out = { file: Buffer.alloc(0), filename: null, partNumber: 1 };
+    const delimiter = Buffer.from(`--${boundary}`);
+    let pos = raw.indexOf(delimiter);
+    while (pos !== -1) {
+        const next = raw.indexOf(delimiter, pos + delimiter.length);
+        if (next === -1) break;
+        const part = raw.subarray(pos + delimiter.length + 2, next - 2); // strip CRLFs
+        const split = part.indexOf('\r\n\r\n');
+        const head = part.subarray(0, split).toString('utf-8');
+        const content = part.subarray(split + 4);
+        const name = head.match(/name="([^"]+)"/)?.[1];
+        if (name === 'file') {
+            out.file = content;
+            out.filename = head.match(/filename="([^"]*)"/)?.[1] || null;
+        } else if (name === 'part_number') {
+            out.partNumber = Number(content.toString());
+        }
+        pos = next;
+    }
+    return out;
+}
+
+module.exports = { FakeNotion };
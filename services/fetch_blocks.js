@@ -0,0 +1,23 @@
+// services/fetch_blocks.js
+// ------------------------
+// Pulls a page's (or block's) full block tree, nesting children under
+// `children` on every block that has them.
+
+const notion = require('./notion_client');
+
+async function fetchBlockTree(blockId) {
+    let cursor, out = [];
+    do {
+        const res = await notion.blocks.children.list({ block_id: blockId, page_size: 100, start_cursor: cursor });
+        const expanded = await Promise.all(
+            res.results.map(async blk => blk.has_children
+                ? { ...blk, children: await fetchBlockTree(blk.id) }
+                : blk)
+        );
+        out.push(...expanded);
+        cursor = res.has_more ? res.next_cursor : undefined;
+    } while (cursor);
+    return out;
+}
+
+module.exports = { fetchBlockTree };
@@ -1,14 +1,22 @@
 // services/fetch_tasks.js
 // ----------------------
 // Streams pages (tasks) from a Notion database (DB A) one by one.
+// Optionally narrowed server-side with a Notion query `filter` / `sorts`.
 
 const notion = require('./notion_client');
 const logger = require('../logging/logger');
 logger.trace('Entering fetch_tasks.js');
 
-async function* getTasksFromDBA(dbId) {
+/**
+ * @param {string} dbId
+ * @param {Object} [query]
+ * @param {Object} [query.filter] – Notion database filter object
+ * @param {Array}  [query.sorts]  – Notion sort objects
+ */
+async function* getTasksFromDBA(dbId, { filter, sorts } = {}) {
     logger.trace('Entered getTasksFromDBA()');
     logger.info(`Starting to fetch tasks from database ID: ${dbId}`);
+    if (filter) logger.debug(`Using server-side filter: ${JSON.stringify(filter)}`);
     let cursor = undefined;
 
     do {
@@ -16,6 +24,8 @@ async function* getTasksFromDBA(dbId) {
             database_id: dbId,
             page_size: 100,
             start_cursor: cursor,
+            ...(filter && { filter }),
+            ...(sorts && { sorts }),
         });
 
         for (const page of response.results) {
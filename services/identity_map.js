@@ -0,0 +1,166 @@
+// services/identity_map.js
+// ------------------------
+// Resolves source people to CENT users. Workspace members are matched through
+// UserStore by email; the identity map file (transformations/maps/identities.yaml)
+// covers everyone else:
+//
+//   people:                    # source user → CENT user
+//     old.name@agency.com: name@cent.com     # email, name or user ID as key;
+//     Jane Contractor: null                  # email or user ID as value, null drops
+//   roles:                     # named users maps can write without a source value
+//     sm_assignee: lead@cent.com             # or env:VAR to read it from the environment
+//   fallback:                  # people neither of the above resolves
+//     guest: drop              #   drop | keep (same user ID) | <CENT email or ID>
+//     bot: drop
+//   nicknames:                 # extra entries for fuzzy name matching
+//     Cathy: Catherine
+//   match_first_name: false    # let a one-word name match the only CENT user
+//                              #   with that first name (off by default)
+//
+// Targets may also be CENT user names, matched fuzzily (case, diacritics,
+// nicknames). A person with neither email nor membership is tried by name
+// before counting as a guest: any person who is not a member of the
+// workspace (not in users.list), including former members and people with no
+// CENT account. That name must match a CENT user exactly, after normalizing,
+// or through a nickname; a first name alone ("Chris") only counts with
+// match_first_name, since a guest would otherwise be assigned and notified as
+// whoever happens to be the only "Chris" in CENT.
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { getSharedUserStore } = require('./user_store');
+const defaultLogger = require('../logging/logger');
+
+const UUID = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+const POLICIES = new Set(['drop', 'keep']);
+// matchName() levels a guest's name may resolve at without match_first_name
+const GUEST_NAME_LEVELS = new Set(['exact', 'normalized', 'nickname']);
+
+function normalizeKey(key) {
+    const text = String(key).trim();
+    if (text.includes('@')) return text.toLowerCase();
+    if (UUID.test(text)) return text.replace(/-/g, '').toLowerCase();
+    return text;
+}
+
+// env:VAR role values read the environment (unset → null)
+function resolveRoleRefs(roles = {}) {
+    const out = {};
+    for (const [role, ref] of Object.entries(roles)) {
+        const env = typeof ref === 'string' && /^env:(\w+)$/.exec(ref.trim());
+        out[role] = env ? (process.env[env[1]] || null) : ref;
+    }
+    return out;
+}
+
+/** Checks fallback values, so a typo fails at load instead of per page. */
+function validateFallback(fallback = {}) {
+    for (const [kind, value] of Object.entries(fallback)) {
+        if (!['guest', 'bot'].includes(kind)) throw new Error(`identity map: unknown fallback "${kind}" (guest, bot)`);
+        if (value !== null && !POLICIES.has(value) && !String(value).includes('@') && !UUID.test(String(value))) {
+            throw new Error(`identity map: fallback.${kind} must be drop, keep, an email or a user ID`);
+        }
+    }
+}
+
+class IdentityMap {
+    /**
+     * @param {Object} [spec]       – parsed identity file ({ people, roles, fallback, nicknames, match_first_name })
+     * @param {Object} [options]
+     * @param {UserStore} [options.userStore] – defaults to the process-wide store
+     * @param {Object}    [options.logger]
+     */
+    constructor(spec = {}, { userStore = getSharedUserStore(), logger = defaultLogger } = {}) {
+        this.userStore = userStore;
+        this.userStore.addNicknames(spec.nicknames || {});
+        this.logger = logger;
+        this.people = new Map();
+        for (const [from, to] of Object.entries(spec.people || {})) this.people.set(normalizeKey(from), to);
+        this.roles = resolveRoleRefs(spec.roles || {});
+        this.fallback = { guest: 'drop', bot: 'drop', ...(spec.fallback || {}) };
+        validateFallback(this.fallback);
+        this.matchFirstName = spec.match_first_name === true;
+    }
+
+    /** Load an identity file; a missing file means members-by-email only. */
+    static load(file, options) {
+        const spec = fs.existsSync(file) ? yaml.load(fs.readFileSync(file, 'utf-8')) : {};
+        return new IdentityMap(spec || {}, options);
+    }
+
+    async init() {
+        await this.userStore.init();
+        return this;
+    }
+
+    // CENT email / user ID / name → member ID (null when unknown)
+    _target(ref, label) {
+        if (ref === null || ref === undefined) return null;
+        const text = String(ref).trim();
+        let id;
+        if (text.includes('@')) id = this.userStore.getUserIdByEmail(text);
+        else if (UUID.test(text)) id = this.userStore.getUserById(text)?.id || text;
+        else id = this.userStore.getUserIdByName(text);
+        if (!id) this.logger.warn({ event: 'identity_target_missing', ref: text }, `⚠️ ${label}: "${text}" is not a CENT user`);
+        return id;
+    }
+
+    /**
+     * @param {Object} person – source user object (full or partial)
+     * @returns {{ id: string|null, via: 'identity'|'email'|'member'|'name'|'guest'|'bot' }}
+     */
+    resolve(person) {
+        const member = person.id ? this.userStore.getUserById(person.id) : null;
+        const email = person.person?.email || member?.person?.email;
+        const name = person.name || member?.name;
+
+        const keys = [email, person.id, name].filter(Boolean).map(normalizeKey);
+        const hit = keys.find(k => this.people.has(k));
+        if (hit) return { id: this._target(this.people.get(hit), `identity ${hit}`), via: 'identity' };
+
+        if ((person.type || member?.type) === 'bot') return { id: this._policy('bot', person), via: 'bot' };
+        if (email) {
+            const id = this.userStore.getUserIdByEmail(email);
+            if (id) return { id, via: 'email' };
+        }
+        if (member) return { id: member.id, via: 'member' };
+        if (name) {
+            const { user, level } = this.userStore.matchName(name);
+            if (user && (GUEST_NAME_LEVELS.has(level) || this.matchFirstName)) return { id: user.id, via: 'name' };
+            if (user) {
+                this.logger.warn(
+                    { event: 'identity_first_name_only', query: name, candidate: user.id },
+                    `⚠️ "${name}" only matches ${user.name} by first name – treated as a guest (set match_first_name to accept)`
+                );
+            }
+        }
+        return { id: this._policy('guest', person), via: 'guest' };
+    }
+
+    _policy(kind, person) {
+        const policy = this.fallback[kind];
+        if (policy === 'keep') return person.id;
+        if (policy === 'drop' || policy === null || policy === undefined) return null;
+        return this._target(policy, `fallback.${kind}`);
+    }
+
+    /** Roles among `roles` that are missing or set to null. */
+    unsetRoles(roles) {
+        return roles.filter(role => this.roles[role] === null || this.roles[role] === undefined);
+    }
+
+    /** User ID for a named role, or null. */
+    resolveRole(role) {
+        if (!Object.prototype.hasOwnProperty.call(this.roles, role)) {
+            this.logger.warn({ event: 'identity_role_missing', role }, `⚠️ No role "${role}" in the identity map`);
+            return null;
+        }
+        if (this.roles[role] === null) {
+            this.logger.warn({ event: 'identity_role_unset', role }, `⚠️ Role "${role}" is not set in the identity map`);
+            return null;
+        }
+        return this._target(this.roles[role], `role ${role}`);
+    }
+}
+
+module.exports = { IdentityMap };
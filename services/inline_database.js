@@ -0,0 +1,182 @@
+// services/inline_database.js
+// ---------------------------
+// Recreates a source inline database (a `child_database` block) under a target
+// page: schema via databases.create, then one pages.create per row. The API
+// cannot create every property type, so the schema is adapted:
+//
+//   • status      → select with the same options (status cannot be created)
+//   • relation, rollup, formula, unique_id, button, verification → skipped
+//   • computed columns (created/edited time and by) are recreated, their
+//     values are not copied
+//   • people go through the identity map like task properties; people it
+//     cannot resolve are dropped
+//
+// Row bodies are left to the caller (writeRow), which owns sanitizing and
+// appending. A copy that fails after databases.create archives the partial
+// database before rethrowing.
+
+const notion = require('./notion_client');
+const { getIdentityMap } = require('../transformations/transforms');
+const defaultLogger = require('../logging/logger');
+
+// Property types databases.create accepts with an empty config
+const PLAIN_TYPES = new Set([
+    'title', 'rich_text', 'checkbox', 'url', 'email', 'phone_number', 'date',
+    'files', 'people', 'created_time', 'last_edited_time', 'created_by', 'last_edited_by'
+]);
+const OPTION_TYPES = new Set(['select', 'multi_select', 'status']);
+
+function plainRichText(items = []) {
+    return items.map(item => ({
+        type: 'text',
+        text: { content: item.plain_text ?? item.text?.content ?? '', link: item.href ? { url: item.href } : null },
+        ...(item.annotations && { annotations: item.annotations })
+    }));
+}
+
+/**
+ * Write-shape schema for databases.create.
+ * @param {Object} properties – source DB `properties`
+ * @returns {{ properties: Object, skipped: Array<string>, converted: Array<string> }}
+ */
+function schemaForCreate(properties) {
+    const out = { properties: {}, skipped: [], converted: [] };
+    for (const [name, prop] of Object.entries(properties)) {
+        if (PLAIN_TYPES.has(prop.type)) {
+            out.properties[name] = { [prop.type]: {} };
+        } else if (prop.type === 'number') {
+            out.properties[name] = { number: { format: prop.number?.format || 'number' } };
+        } else if (OPTION_TYPES.has(prop.type)) {
+            const type = prop.type === 'status' ? 'select' : prop.type;
+            if (type !== prop.type) out.converted.push(name);
+            out.properties[name] = {
+                [type]: { options: (prop[prop.type].options || []).map(({ name: n, color }) => ({ name: n, color })) }
+            };
+        } else {
+            out.skipped.push(name);
+        }
+    }
+    return out;
+}
+
+/**
+ * Write-shape values of a source row for the recreated schema.
+ * @param {Object} row    – source page
+ * @param {Object} schema – target `properties` as passed to databases.create
+ * @param {Object} [options]
+ * @param {IdentityMap} [options.identities] – resolves people; without it people are dropped
+ * @param {Array<Object>} [options.dropped]  – receives the people left out
+ * @returns {Object}
+ */
+function rowProperties(row, schema, { identities = null, dropped = [] } = {}) {
+    const out = {};
+    for (const [name, prop] of Object.entries(row.properties || {})) {
+        const target = schema[name] && Object.keys(schema[name])[0];
+        if (!target) continue;
+        const value = prop[prop.type];
+        switch (prop.type) {
+            case 'title':
+            case 'rich_text':
+                out[name] = { [target]: plainRichText(value) };
+                break;
+            case 'select':
+            case 'status':
+                out[name] = { select: value ? { name: value.name } : null };
+                break;
+            case 'multi_select':
+                out[name] = { multi_select: (value || []).map(o => ({ name: o.name })) };
+                break;
+            case 'date':
+                out[name] = { date: value ? { start: value.start, end: value.end ?? null, time_zone: value.time_zone ?? null } : null };
+                break;
+            case 'people': {
+                const people = [];
+                for (const person of value || []) {
+                    const id = identities?.resolve(person).id;
+                    if (id) people.push({ id });
+                    else dropped.push(person);
+                }
+                out[name] = { people };
+                break;
+            }
+            case 'files':
+                // Notion-hosted URLs expire; only external links survive a copy
+                out[name] = { files: (value || []).filter(f => f.type === 'external').map(f => ({ name: f.name, external: f.external })) };
+                break;
+            case 'number':
+            case 'checkbox':
+            case 'url':
+            case 'email':
+            case 'phone_number':
+                out[name] = { [prop.type]: value ?? (prop.type === 'checkbox' ? false : null) };
+                break;
+            default:
+                break; // computed columns keep their own values
+        }
+    }
+    return out;
+}
+
+/**
+ * @param {string} sourceDbId   – the child_database block ID (= database ID)
+ * @param {string} parentPageId – target page to hold the inline database
+ * @param {Object} [options]
+ * @param {string} [options.title]    – defaults to the source DB title
+ * @param {Function} [options.writeRow] – async (sourceRow, targetRow) for row bodies
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ database: Object, rows: number, skipped: Array<string>, converted: Array<string> }>}
+ */
+async function copyInlineDatabase(sourceDbId, parentPageId, { title, writeRow, logger = defaultLogger } = {}) {
+    const source = await notion.databases.retrieve({ database_id: sourceDbId });
+    const { properties, skipped, converted } = schemaForCreate(source.properties);
+    if (skipped.length) {
+        logger.warn({ event: 'inline_db_properties_skipped', sourceDbId, properties: skipped }, `⚠️ Inline database: cannot recreate ${skipped.join(', ')}`);
+    }
+
+    const hasPeople = Object.values(properties).some(p => p.people);
+    const identities = hasPeople ? await getIdentityMap(undefined, logger) : null;
+
+    const database = await notion.databases.create({
+        parent: { type: 'page_id', page_id: parentPageId },
+        is_inline: true,
+        title: title !== undefined ? [{ type: 'text', text: { content: title } }] : plainRichText(source.title),
+        properties
+    });
+
+    let rows = 0;
+    const dropped = [];
+    try {
+        let cursor;
+        do {
+            const res = await notion.databases.query({ database_id: sourceDbId, start_cursor: cursor, page_size: 100 });
+            for (const row of res.results) {
+                const created = await notion.pages.create({
+                    parent: { database_id: database.id },
+                    properties: rowProperties(row, properties, { identities, dropped }),
+                    ...(row.icon && { icon: row.icon })
+                });
+                if (writeRow) await writeRow(row, created);
+                rows++;
+            }
+            cursor = res.has_more ? res.next_cursor : undefined;
+        } while (cursor);
+    } catch (err) {
+        // don't leave a half-filled copy next to the caller's placeholder
+        await notion.blocks.delete({ block_id: database.id }).catch(archiveErr =>
+            logger.warn({ event: 'inline_db_archive_failed', targetDbId: database.id, err: archiveErr.message }, `⚠️ Could not archive partial inline database ${database.id}`)
+        );
+        throw err;
+    }
+
+    if (dropped.length) {
+        logger.warn(
+            { event: 'inline_db_people_dropped', sourceDbId, people: dropped.map(p => p.name || p.id) },
+            `⚠️ Inline database: ${dropped.length} people value(s) with no CENT user dropped`
+        );
+    }
+
+    logger.info({ event: 'inline_db_copied', sourceDbId, targetDbId: database.id, rows }, `🗃️ Recreated inline database ${sourceDbId} → ${database.id} (${rows} rows)`);
+    return { database, rows, skipped, converted };
+}
+
+module.exports = { copyInlineDatabase, schemaForCreate, rowProperties };
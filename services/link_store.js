@@ -1,13 +1,72 @@
 // services/link_store.js
 // ---------------------
 // Tracks which source pages have been migrated by sharding each Link into its own JSON file.
+// Writes go to a temp file that is fsynced and renamed over the shard, and each
+// shard carries a sha256 checksum, so a killed process can never leave a
+// half-written link that later reads as "never migrated".
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const Link = require('../models/Link');
 
 const DEFAULT_MIGRATION_TYPE = 'tasks';
 
+/**
+ * Thrown when a link shard exists but cannot be trusted (truncated JSON,
+ * checksum mismatch). Callers must NOT treat this as "not migrated yet":
+ * doing so creates a duplicate target page.
+ */
+class CorruptLinkError extends Error {
+    constructor(sourceId, file, reason) {
+        super(`Corrupt link for sourceId ${sourceId} (${file}): ${reason}`);
+        this.name = 'CorruptLinkError';
+        this.code = 'LINK_CORRUPT';
+        this.sourceId = sourceId;
+        this.file = file;
+    }
+}
+
+function checksumOf(data) {
+    return 'sha256:' + crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+// Parses a shard and verifies its checksum (legacy shards without one pass)
+function parseShard(content, sourceId, file) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (err) {
+        throw new CorruptLinkError(sourceId, file, err.message);
+    }
+    if (data === null || typeof data !== 'object') {
+        throw new CorruptLinkError(sourceId, file, 'not a JSON object');
+    }
+    const { checksum, ...rest } = data;
+    if (checksum && checksum !== checksumOf(rest)) {
+        throw new CorruptLinkError(sourceId, file, 'checksum mismatch');
+    }
+    return rest;
+}
+
+// temp file → fsync → rename, so readers see either the old or the new shard
+async function writeFileAtomic(file, content) {
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const handle = await fs.open(tmp, 'w');
+    try {
+        await handle.writeFile(content, 'utf-8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    try {
+        await fs.rename(tmp, file);
+    } catch (err) {
+        await fs.unlink(tmp).catch(() => {});
+        throw err;
+    }
+}
+
 class LinkStore {
     constructor(dir, logger) {
         this.dir = dir;
@@ -60,10 +119,16 @@ class LinkStore {
         try {
             const prevContent = await fs.readFile(file, 'utf-8');
             this.logger.debug(`Read existing link file for save: ${file}`);
-            const prevData = JSON.parse(prevContent);
-            prevHistory = prevData.history || [];
+            prevHistory = parseShard(prevContent, link.sourceId, file).history || [];
         } catch (err) {
-            this.logger.warn(`Failed to read or parse existing link file during save (may be first save): ${file} - ${err.message}`);
+            if (err instanceof CorruptLinkError) {
+                // keep the damaged shard around for forensics before replacing it
+                const backup = `${file}.corrupt-${Date.now()}`;
+                await fs.rename(file, backup).catch(() => {});
+                this.logger.error(`Replacing corrupt link file during save (backup: ${backup}): ${err.message}`);
+            } else if (err.code !== 'ENOENT') {
+                throw err;
+            }
             // file didn't exist — first‑time save
         }
 
@@ -71,13 +136,17 @@ class LinkStore {
             ...link,
             history: link.history ?? prevHistory
         };
+        delete merged.checksum;
 
-        await fs.writeFile(file, JSON.stringify(merged, null, 2), 'utf-8');
+        const content = JSON.stringify({ ...merged, checksum: checksumOf(merged) }, null, 2);
+        await writeFileAtomic(file, content);
         this.logger.debug(`Saved link file: ${file}`);
     }
 
     /**
      * Load an existing Link by sourceId, instantiate a Link object.
+     * Rejects with ENOENT when the shard is missing and with CorruptLinkError
+     * when it is unreadable or fails its checksum.
      * @param {string} sourceId
      * @param {string} migrationType
      * @returns {Promise<Link>}
@@ -90,7 +159,7 @@ class LinkStore {
         const content = await fs.readFile(file, 'utf-8');
         let data;
         try {
-            data = JSON.parse(content);
+            data = parseShard(content, sourceId, file);
         } catch (err) {
             this.logger.warn(`Failed to parse link JSON file: ${file} - ${err.message}`);
             throw err;
@@ -111,10 +180,27 @@ class LinkStore {
             targetPageName: data.targetPageName,
             targetPageIcon: data.targetPageIcon || null,
             notes: data.notes || '',
-            history: data.history || []
+            history: data.history || [],
+            dropReport: data.dropReport || []
         });
     }
 
+    /**
+     * Like load(), but resolves null when no link exists yet. Corrupt links
+     * still reject with CorruptLinkError – they are NOT "not found".
+     * @param {string} sourceId
+     * @param {string} migrationType
+     * @returns {Promise<Link|null>}
+     */
+    async loadIfExists(sourceId, migrationType = DEFAULT_MIGRATION_TYPE) {
+        try {
+            return await this.load(sourceId, migrationType);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
     /**
      * Load raw JSON for debugging (without instantiating Link).
      * @param {string} sourceId
@@ -129,7 +215,7 @@ class LinkStore {
         const content = await fs.readFile(file, 'utf-8');
         let data;
         try {
-            data = JSON.parse(content);
+            data = parseShard(content, sourceId, file);
         } catch (err) {
             this.logger.warn(`Failed to parse raw link JSON file: ${file} - ${err.message}`);
             throw err;
@@ -171,9 +257,9 @@ class LinkStore {
             }
             let data;
             try {
-                data = JSON.parse(raw);
-            } catch {
-                this.logger.warn(`Failed to parse JSON during findBySourcePageName: ${fullPath}`);
+                data = parseShard(raw, path.basename(fileName, '.json'), fullPath);
+            } catch (err) {
+                this.logger.warn(`Failed to parse JSON during findBySourcePageName: ${err.message}`);
                 continue;
             }
             // If sourcePageName field matches exactly, instantiate and return
@@ -193,13 +279,46 @@ class LinkStore {
                     targetPageName: data.targetPageName,
                     targetPageIcon: data.targetPageIcon || null,
                     notes: data.notes || '',
-                    history: data.history || []
+                    history: data.history || [],
+                    dropReport: data.dropReport || []
                 });
             }
         }
         return null;
     }
 
+    /**
+     * Find the Link whose current targetId — or any archived predecessor in
+     * history[].targetId — matches. Current targets win over history entries.
+     * Returns null if none found.
+     *
+     * @param {string} targetId
+     * @param {string} migrationType
+     * @returns {Promise<Link|null>}
+     */
+    async findByTargetId(targetId, migrationType = DEFAULT_MIGRATION_TYPE) {
+        this.logger.trace('Entered findByTargetId method');
+        const links = await this.loadAll(migrationType);
+        return links.find(l => l.targetId === targetId)
+            || links.find(l => l.history.some(h => h.targetId === targetId))
+            || null;
+    }
+
+    /**
+     * List the migration types (sub-directories) present in the store.
+     * @returns {Promise<string[]>}
+     */
+    async listTypes() {
+        this.logger.trace('Entered listTypes method');
+        try {
+            const entries = await fs.readdir(this.dir, { withFileTypes: true });
+            return entries.filter(e => e.isDirectory()).map(e => e.name);
+        } catch (err) {
+            this.logger.warn(`Failed to read links directory ${this.dir}: ${err.message}`);
+            return [];
+        }
+    }
+
     /**
      * Load all Link entries for a given migration type.
      * @param {string} migrationType
@@ -234,3 +353,5 @@ class LinkStore {
 }
 
 module.exports = LinkStore;
+module.exports.CorruptLinkError = CorruptLinkError;
+module.exports.parseShard = parseShard;
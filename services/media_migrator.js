@@ -3,9 +3,10 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const fetch = require('node-fetch'); // or axios
+const nodeFetch = require('node-fetch'); // or axios
 const FormData = require('form-data');
 const mime = require('mime-types');
+const { isDataUrl, parseDataUrl } = require('./data_url');
 
 class MediaMigrator {
     /**
@@ -15,9 +16,12 @@ class MediaMigrator {
      * @param {Object}   options.logger   – logger instance
      * @param {number}   options.maxParallel – concurrency limit
      * @param {number}   options.chunkSizeMB – for multi-part uploads
+     * @param {Function} [options.fetch] – HTTP client for downloads and file sends
+     *                                     (defaults to the client's cassette-aware fetch)
      */
-    constructor({ notion, tmpDir, logger, maxParallel = 10, chunkSizeMB = 19 }) {
+    constructor({ notion, tmpDir, logger, maxParallel = 10, chunkSizeMB = 19, fetch }) {
         this.notion = notion;
+        this.fetch = fetch || notion?.httpFetch || nodeFetch;
         this.tmpDir = tmpDir;
         this.logger = logger;
         this.maxParallel = maxParallel;
@@ -51,7 +55,7 @@ class MediaMigrator {
         for (const fileObj of filesArray) {
             try {
                 // Logging before download
-                const url = fileObj.external?.url || fileObj.file?.url;
+                const url = describeUrl(fileObj.external?.url || fileObj.file?.url);
                 this.logger.debug(`➡️ Starting download for file`, { pageId, url });
                 const localInfo = await this._downloadFile(pageId, fileObj);
                 // Logging after download
@@ -70,7 +74,7 @@ class MediaMigrator {
                     name: path.basename(localInfo.path)
                 });
             } catch (err) {
-                const url = fileObj.external?.url || fileObj.file?.url;
+                const url = describeUrl(fileObj.external?.url || fileObj.file?.url);
                 this.logger.error(`❌ MediaMigrator failed on page ${pageId}, file ${url}:`, err);
                 throw (err);
             }
@@ -107,6 +111,9 @@ class MediaMigrator {
             this.logger.warn(`⚠️  Skipping file on page ${pageId}: missing valid URL`);
             return null;
         }
+        if (isDataUrl(sourceUrl)) {
+            return this._decodeDataUrl(pageId, sourceUrl);
+        }
         if (this.downloadCache.has(sourceUrl)) {
             return this.downloadCache.get(sourceUrl);
         }
@@ -118,7 +125,7 @@ class MediaMigrator {
 
         let res;
         try {
-            res = await fetch(sourceUrl);
+            res = await this.fetch(sourceUrl);
             if (!res.ok) throw new Error(`Failed to download ${sourceUrl}: ${res.status}`);
         } catch (err) {
             this.logger.error(`❌ Error fetching ${sourceUrl}: ${err.message}`, { pageId, url: sourceUrl });
@@ -139,6 +146,29 @@ class MediaMigrator {
         return info;
     }
 
+    /**
+     * Decode a data: URL (pasted image) into tmpDir, named by content hash.
+     * Not kept in the download manifest – the URL is the content – so repeats
+     * are deduplicated by the sha256 upload cache instead.
+     */
+    _decodeDataUrl(pageId, url) {
+        const parsed = parseDataUrl(url);
+        if (!parsed) {
+            this.logger.warn(`⚠️  Skipping file on page ${pageId}: malformed data URL`);
+            return null;
+        }
+        const localPath = path.join(this.tmpDir, parsed.filename);
+        if (!fs.existsSync(localPath)) {
+            fs.writeFileSync(localPath, parsed.buffer);
+        }
+        return {
+            path: localPath,
+            size: parsed.buffer.length,
+            sha256: parsed.sha256,
+            originalFilename: parsed.filename
+        };
+    }
+
     /** Upload a local file via Notion direct or multi-part upload */
     async _uploadFile(localInfo) {
         const { sha256, size, path: filePath, originalFilename } = localInfo;
@@ -183,7 +213,7 @@ class MediaMigrator {
             contentType: mimeType
         });
 
-        const uploadRes = await fetch(`https://api.notion.com/v1/file_uploads/${uploadId}/send`, {
+        const uploadRes = await this.fetch(`https://api.notion.com/v1/file_uploads/${uploadId}/send`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${process.env.NOTION_API_KEY}`,
@@ -263,7 +293,7 @@ class MediaMigrator {
                     contentType: mimeType
                 });
                 form.append('part_number', String(partNumber));
-                const res = await fetch(`${upload_url}`, {
+                const res = await this.fetch(`${upload_url}`, {
                     method: 'POST',
                     headers: {
                         'Authorization': `Bearer ${process.env.NOTION_API_KEY}`,
@@ -321,8 +351,8 @@ class MediaMigrator {
                 ['external', 'file'].includes(block.image?.type)
             ) {
                 const url = block.image.external?.url || block.image.file?.url;
-                if (!url || url.startsWith('data:')) {
-                    continue; // Skip invalid or embedded data URIs
+                if (!url) {
+                    continue; // Skip blocks without a source
                 }
                 const uploads = await this.processFiles(pageId, [block.image]);
                 if (uploads.length) {
@@ -332,10 +362,12 @@ class MediaMigrator {
                             id: uploads[0].file_upload.id
                         }
                     };
+                } else if (isDataUrl(url)) {
+                    continue; // undecodable data URL – cannot be written
                 }
             } else if (block.type === 'file' && (block.file?.type === 'external' || block.file?.type === 'file')) {
                 const url = block.file.external?.url || block.file.file?.url;
-                if (!url || url.startsWith('data:')) {
+                if (!url) {
                     continue;
                 }
                 const uploads = await this.processFiles(pageId, [block.file]);
@@ -346,13 +378,15 @@ class MediaMigrator {
                             id: uploads[0].file_upload.id
                         }
                     };
+                } else if (isDataUrl(url)) {
+                    continue; // undecodable data URL – cannot be written
                 }
             } else if (
                 ['pdf', 'video'].includes(block.type) &&
                 (block[block.type]?.type === 'external' || block[block.type]?.type === 'file')
             ) {
                 const url = block[block.type].external?.url || block[block.type].file?.url;
-                if (!url || url.startsWith('data:')) {
+                if (!url) {
                     continue;
                 }
                 const uploads = await this.processFiles(pageId, [block[block.type]]);
@@ -363,6 +397,8 @@ class MediaMigrator {
                             id: uploads[0].file_upload.id
                         }
                     };
+                } else if (isDataUrl(url)) {
+                    continue; // undecodable data URL – cannot be written
                 }
             }
 
@@ -372,4 +408,9 @@ class MediaMigrator {
     }
 }
 
+// Keeps data URLs (whole files) out of log lines
+function describeUrl(url) {
+    return isDataUrl(url) ? `${url.slice(0, 40)}… (${url.length} chars)` : url;
+}
+
 module.exports = { MediaMigrator };
\ No newline at end of file
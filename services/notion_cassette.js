@@ -0,0 +1,211 @@
+// services/notion_cassette.js
+// ---------------------------
+// Record / replay of Notion traffic, so pipelines can run offline and
+// deterministically.
+//
+//   record – every call goes to Notion as usual; its final result (or error)
+//            is appended to the cassette as one JSON line
+//   replay – calls are answered from the cassette, no network at all
+//
+// Interactions are matched by method path + a stable JSON of the arguments.
+// Identical calls are replayed in the order they were recorded (a query that
+// returned different pages on its 1st and 2nd call replays the same way);
+// once a sequence runs out, its last response is repeated.
+//
+// Raw HTTP done outside the SDK (MediaMigrator downloads / file sends) goes
+// through wrapFetch() and is recorded the same way, body included.
+//
+// Request keys depend on local state (watermarks, links), so a recording is
+// only replayable together with the state it started from: state_dirs.js
+// snapshots it to <cassette>.state/ and replays against a copy.
+
+const fs = require('fs');
+const path = require('path');
+const { Response } = require('node-fetch');
+
+const MODES = new Set(['record', 'replay']);
+
+class CassetteMissError extends Error {
+    constructor(key) {
+        super(`No recorded interaction for ${key.slice(0, 300)}`);
+        this.name = 'CassetteMissError';
+        this.code = 'cassette_miss';
+        this.key = key;
+    }
+}
+
+/** JSON with object keys sorted at every level, undefined dropped. */
+function stableStringify(value) {
+    return JSON.stringify(value, (key, val) => {
+        if (val === null || typeof val !== 'object' || Array.isArray(val)) return val;
+        return Object.keys(val).sort().reduce((out, k) => {
+            out[k] = val[k];
+            return out;
+        }, {});
+    });
+}
+
+function serializeError(err) {
+    return {
+        name: err.name,
+        message: err.message,
+        code: err.code,
+        status: err.status,
+        body: err.body
+    };
+}
+
+function reviveError(data) {
+    const err = new Error(data.message);
+    err.name = data.name || 'Error';
+    if (data.code !== undefined) err.code = data.code;
+    if (data.status !== undefined) err.status = data.status;
+    if (data.body !== undefined) err.body = data.body;
+    err.replayed = true;
+    return err;
+}
+
+class Cassette {
+    /**
+     * @param {Object} options
+     * @param {string} options.file   – cassette path (.jsonl)
+     * @param {'record'|'replay'} options.mode
+     * @param {Object} options.logger – logger instance
+     */
+    constructor({ file, mode, logger }) {
+        if (!MODES.has(mode)) {
+            throw new Error(`Unknown cassette mode "${mode}" (expected record or replay)`);
+        }
+        this.file = file;
+        this.mode = mode;
+        this.logger = logger;
+        this.tapes = new Map();   // key → [entry, …]
+        this.cursors = new Map(); // key → next index
+
+        if (mode === 'record') {
+            // state_dirs.js rotates a previous recording first; never clobber one
+            if (fs.existsSync(file) && fs.statSync(file).size > 0) {
+                throw new Error(`Cassette ${file} already holds a recording – move it away or pick another NOTION_CASSETTE`);
+            }
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, '', 'utf-8');
+        } else {
+            this._load();
+        }
+        this.logger.info(
+            { event: 'notion_cassette', mode, file, interactions: this.size },
+            `📼 Notion cassette ${mode === 'record' ? 'recording to' : 'replaying from'} ${file}`
+        );
+    }
+
+    get size() {
+        let n = 0;
+        for (const tape of this.tapes.values()) n += tape.length;
+        return n;
+    }
+
+    _load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.file, 'utf-8');
+        } catch (err) {
+            throw new Error(`Cannot read cassette ${this.file}: ${err.message}`);
+        }
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                continue; // torn last line from an interrupted recording
+            }
+            if (!this.tapes.has(entry.key)) this.tapes.set(entry.key, []);
+            this.tapes.get(entry.key).push(entry);
+        }
+    }
+
+    _append(entry) {
+        if (!this.tapes.has(entry.key)) this.tapes.set(entry.key, []);
+        this.tapes.get(entry.key).push(entry);
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n', 'utf-8');
+    }
+
+    _next(key) {
+        const tape = this.tapes.get(key);
+        if (!tape) {
+            this.logger.error({ event: 'cassette_miss', key }, '📼 Cassette has no recording for this call');
+            throw new CassetteMissError(key);
+        }
+        const i = this.cursors.get(key) || 0;
+        this.cursors.set(key, i + 1);
+        return tape[Math.min(i, tape.length - 1)];
+    }
+
+    static key(method, args) {
+        return `${method} ${stableStringify(args)}`;
+    }
+
+    /**
+     * Run (record) or answer (replay) one Notion SDK call.
+     * @param {string} method – dotted method path, e.g. "pages.update"
+     * @param {Array} args
+     * @param {Function} call – performs the live call (record mode only)
+     * @returns {Promise<any>}
+     */
+    async play(method, args, call) {
+        const key = Cassette.key(method, args);
+
+        if (this.mode === 'replay') {
+            const entry = this._next(key);
+            if (entry.error) throw reviveError(entry.error);
+            return entry.result;
+        }
+
+        try {
+            const result = await call();
+            this._append({ key, result });
+            return result;
+        } catch (err) {
+            this._append({ key, error: serializeError(err) });
+            throw err;
+        }
+    }
+
+    /**
+     * Wrap a node-fetch compatible function so raw HTTP is recorded / replayed.
+     * Requests are keyed by method + URL (bodies are streams and not compared).
+     * @param {Function} fetchImpl
+     * @returns {Function}
+     */
+    wrapFetch(fetchImpl) {
+        return async (url, opts = {}) => {
+            const key = `fetch ${(opts.method || 'GET').toUpperCase()} ${url}`;
+
+            if (this.mode === 'replay') {
+                const { response } = this._next(key);
+                return new Response(Buffer.from(response.body, 'base64'), {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers
+                });
+            }
+
+            const res = await fetchImpl(url, opts);
+            const body = await res.buffer();
+            const response = {
+                status: res.status,
+                statusText: res.statusText,
+                headers: { 'content-type': res.headers.get('content-type') || 'application/octet-stream' },
+                body: body.toString('base64')
+            };
+            this._append({ key, response });
+            return new Response(body, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers
+            });
+        };
+    }
+}
+
+module.exports = { Cassette, CassetteMissError, stableStringify };
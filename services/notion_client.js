@@ -3,48 +3,255 @@
 // Proxy-wrapped Notion client with global rate limiting via Bottleneck.
 // All method calls (including on nested properties) are automatically
 // scheduled through the limiter.
+//
+// Failed calls are retried here with exponential backoff + jitter:
+//   • rate_limited (429) – honours Retry-After and temporarily halves the
+//     limiter's per-second budget, restoring it step by step once calm
+//   • 5xx and network errors – retried for idempotent methods; creates and
+//     appends only retry when the request provably never took effect
+//     (503 / connection refused), so a retry cannot duplicate a page.
+//
+// NOTION_CASSETTE_MODE=record|replay records every call to (or serves every
+// call from) NOTION_CASSETTE, default cassettes/default.jsonl. Replay needs no
+// network and skips the limiter. Raw HTTP callers use `notion.httpFetch`.
+// Recording also snapshots links/, runs/, locks/ and cache/ next to the
+// cassette and replay runs against a copy of it (see state_dirs.js).
+//
+// `notion.useBackend(fake)` swaps the live client for a stand-in with the same
+// shape (see fake_notion.js); every module holding this singleton follows.
+// Stand-ins skip the limiter but keep the retry logic.
 
+const path = require('path');
 const { Client } = require('@notionhq/client');
 const Bottleneck = require('bottleneck');
+const nodeFetch = require('node-fetch');
 const logger = require('../logging/logger');
+const { Cassette } = require('./notion_cassette');
+const { initState, cassetteFile } = require('./state_dirs');
 require('dotenv').config();
 
-// Configure Bottleneck limiter to 3 requests/sec, one at a time
+const BASE_RATE_PER_SEC = 3;
+
+const RETRY = {
+  maxRetries:  Number(process.env.NOTION_MAX_RETRIES) || 5,
+  baseDelayMs: 500,
+  maxDelayMs:  30000,
+  recoverMs:   30000, // calm period before stepping the rate back up
+};
+
+// Configure Bottleneck limiter to 3 requests/sec, one at a time. The
+// reservoir is refilled by the adaptive throttle below, not by Bottleneck's
+// reservoirRefresh* options: updateSettings() stops that refresh timer for
+// good (bottleneck 2.19), so the rate could not be changed at runtime.
 const limiter = new Bottleneck({
-  reservoir: 3,
-  reservoirRefreshAmount: 3,
-  reservoirRefreshInterval: 1000,
+  reservoir: BASE_RATE_PER_SEC,
   maxConcurrent: 1,
 });
 
 // Initialize raw Notion client
 const rawNotion = new Client({ auth: process.env.NOTION_API_KEY });
+let backend = rawNotion;
+
+// Optional record / replay cassette
+// (state first: recording rotates the previous cassette and snapshots state)
+if (process.env.NOTION_CASSETTE_MODE) initState();
+const cassette = process.env.NOTION_CASSETTE_MODE
+  ? new Cassette({
+      mode: process.env.NOTION_CASSETTE_MODE,
+      file: cassetteFile(),
+      logger,
+    })
+  : null;
+
+// ── retry bookkeeping ────────────────────────────────────────────────
+const retryStats = {
+  retries: 0,
+  rateLimited: 0,
+  serverErrors: 0,
+  networkErrors: 0,
+  gaveUp: 0,
+  throttleEvents: 0,
+};
+
+const NON_IDEMPOTENT = new Set([
+  'pages.create',
+  'databases.create',
+  'blocks.children.append',
+  'comments.create',
+]);
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND',
+  'notionhq_client_request_timeout',
+]);
+
+// Errors after which the request certainly did not reach Notion's handlers
+const NEVER_APPLIED_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND']);
+
+function classify(error) {
+  if (error.code === 'rate_limited' || error.status === 429) return 'rate_limited';
+  if (error.status >= 500) return 'server';
+  if (NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code) ||
+      error.name === 'FetchError' || error.message === 'fetch failed') {
+    return 'network';
+  }
+  return null;
+}
+
+function isRetryable(method, args, error, reason) {
+  if (!reason) return false;
+  if (reason === 'rate_limited') return true;
+
+  const mutating = NON_IDEMPOTENT.has(method) ||
+    (method === 'request' && String(args[0]?.method || 'GET').toUpperCase() === 'POST');
+  if (!mutating) return true;
+
+  return error.status === 503 || NEVER_APPLIED_CODES.has(error.code || error.cause?.code);
+}
+
+function retryAfterMs(error) {
+  const headers = error.headers;
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (raw == null) return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffMs(attempt) {
+  const exp = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * exp / 2); // "equal jitter"
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ── adaptive throttle ────────────────────────────────────────────────
+// The reservoir is refilled to currentRate every second. A 429 halves
+// currentRate and empties the reservoir; it grows back one step per calm
+// RETRY.recoverMs. The refill timer is unref'd, so a call waiting on an
+// empty reservoir holds its own ref'd timer – otherwise Node could exit
+// mid-wait with nothing else pending.
+let currentRate = BASE_RATE_PER_SEC;
+let recoverTimer = null;
+
+function setReservoir(reservoir) {
+  limiter.updateSettings({ reservoir })
+    .catch(err => logger.warn({ event: 'notion_limiter_update_failed', err: err.message }, 'Could not update the Notion rate limiter'));
+}
+
+setInterval(() => setReservoir(currentRate), 1000).unref();
+
+async function scheduled(fn) {
+  const keepAlive = setInterval(() => {}, 1000);
+  try {
+    return await limiter.schedule(fn);
+  } finally {
+    clearInterval(keepAlive);
+  }
+}
+
+function throttle() {
+  retryStats.throttleEvents++;
+  currentRate = Math.max(1, Math.floor(currentRate / 2));
+  setReservoir(0); // the slowdown starts now, not after this second's budget
+  logger.warn({ event: 'notion_throttled', ratePerSec: currentRate }, `🐢 Notion rate limited – slowing to ${currentRate} req/s`);
+  scheduleRecovery();
+}
+
+function scheduleRecovery() {
+  clearTimeout(recoverTimer);
+  if (currentRate >= BASE_RATE_PER_SEC) return;
+  recoverTimer = setTimeout(() => {
+    currentRate = Math.min(BASE_RATE_PER_SEC, currentRate + 1);
+    logger.info({ event: 'notion_rate_restored', ratePerSec: currentRate }, `🐇 Notion rate back to ${currentRate} req/s`);
+    scheduleRecovery();
+  }, RETRY.recoverMs);
+  recoverTimer.unref();
+}
+
+async function callWithRetry(method, fn, args) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return backend === rawNotion ? await scheduled(fn) : await fn();
+    } catch (error) {
+      const reason = classify(error);
+      if (!isRetryable(method, args, error, reason) || attempt >= RETRY.maxRetries) {
+        if (reason) retryStats.gaveUp++;
+        throw error;
+      }
+
+      retryStats.retries++;
+      if (reason === 'rate_limited') {
+        retryStats.rateLimited++;
+        throttle();
+      } else if (reason === 'server') {
+        retryStats.serverErrors++;
+      } else {
+        retryStats.networkErrors++;
+      }
+
+      const delayMs = retryAfterMs(error) ?? backoffMs(attempt);
+      logger.warn(
+        { event: 'notion_retry', method, reason, attempt: attempt + 1, delayMs, status: error.status, code: error.code },
+        `🔁 Notion ${method} ${reason} – retry ${attempt + 1}/${RETRY.maxRetries} in ${delayMs}ms`
+      );
+      await sleep(delayMs);
+    }
+  }
+}
+
+// Introspection hooks answered by the proxy itself (never proxied)
+const meta = {
+  __limiter: limiter,
+  getRetryStats: () => ({ ...retryStats, ratePerSec: currentRate }),
+  httpFetch: (url, opts) => backendFetch(url, opts),
+  useBackend: client => {
+    backend = client || rawNotion;
+    logger.info({ event: 'notion_backend', live: backend === rawNotion }, `Notion backend: ${backend === rawNotion ? 'live API' : backend.constructor.name}`);
+  },
+};
+
+const liveFetch = cassette ? cassette.wrapFetch(nodeFetch) : nodeFetch;
+function backendFetch(url, opts) {
+  return backend === rawNotion || !backend.httpFetch ? liveFetch(url, opts) : backend.httpFetch(url, opts);
+}
+
+function invoke(method, fn, args) {
+  if (!cassette) return callWithRetry(method, fn, args);
+  return cassette.play(method, args, () => callWithRetry(method, fn, args));
+}
 
 /**
  * Create a Proxy handler that wraps functions via the limiter,
  * and applies recursively to nested objects.
  */
-function createThrottledProxy(target) {
+function createThrottledProxy(target, path = []) {
   return new Proxy(target, {
     get(obj, prop) {
-      const value = obj[prop];
+      if (path.length === 0 && Object.prototype.hasOwnProperty.call(meta, prop)) {
+        return meta[prop];
+      }
+      const source = path.length === 0 ? backend : obj;
+      const value = source[prop];
+      const method = [...path, String(prop)].join('.');
       if (typeof value === 'function') {
         return async (...args) => {
-          logger.debug(`Calling Notion method: ${String(prop)}`);
+          logger.debug(`Calling Notion method: ${method}`);
           const start = Date.now();
           try {
-            const result = await limiter.schedule(() => value.apply(obj, args));
+            const result = await invoke(method, () => value.apply(source, args), args);
             const duration = Date.now() - start;
-            logger.trace(`Notion method ${String(prop)} succeeded in ${duration}ms`);
+            logger.trace(`Notion method ${method} succeeded in ${duration}ms`);
             return result;
           } catch (error) {
-            logger.warn(`Notion method ${String(prop)} failed: ${error.message}`);
+            logger.warn(`Notion method ${method} failed: ${error.message}`);
             throw error;
           }
         };
       }
       if (value !== null && typeof value === 'object') {
-        return createThrottledProxy(value);
+        return createThrottledProxy(value, [...path, String(prop)]);
       }
       return value;
     },
@@ -54,7 +261,4 @@ function createThrottledProxy(target) {
 // Export the Proxy-wrapped client
 const notion = createThrottledProxy(rawNotion);
 
-// Expose the limiter for testing or introspection if needed
-notion.__limiter = limiter;
-
 module.exports = notion;
@@ -0,0 +1,163 @@
+// services/option_provisioner.js
+// ------------------------------
+// Pre-flight for select / multi_select / status targets: compares the options
+// a map can write (source options with their colors, aliases, translation
+// tables, constants) with
+// the target schema before any page is synced.
+//
+//   • missing select / multi_select options are added via databases.update,
+//     keeping the source color (Notion would otherwise create them on first
+//     write with a random one)
+//   • missing status options are only reported – the API cannot create them,
+//     they have to be added in the Notion UI
+//   • options that exist with a different color are reported (the API does not
+//     recolor existing options)
+
+const notion = require('./notion_client');
+const { translateName } = require('../transformations/transforms');
+const defaultLogger = require('../logging/logger');
+
+const OPTION_TYPES = new Set(['select', 'multi_select', 'status']);
+
+function applyAliases(name, aliases) {
+    return aliases && Object.prototype.hasOwnProperty.call(aliases, name) ? aliases[name] : name;
+}
+
+// Status group name per option ID (status schemas only)
+function statusGroups(prop) {
+    const groups = {};
+    for (const group of prop?.status?.groups || []) {
+        for (const id of group.option_ids || []) groups[id] = group.name;
+    }
+    return groups;
+}
+
+/**
+ * Option names (and colors) the map can write, per target property.
+ * @returns {Map<string, Map<string, { color, group, from }>>}
+ */
+function wantedOptions(map, sourceSchema, targetSchema) {
+    const wanted = new Map();
+    const want = (tgtKey, name, info) => {
+        if (!name) return;
+        if (!wanted.has(tgtKey)) wanted.set(tgtKey, new Map());
+        const options = wanted.get(tgtKey);
+        if (!options.has(name)) options.set(name, info);
+    };
+
+    for (const [srcKey, tgtKey] of Object.entries(map.mappings || {})) {
+        if (!OPTION_TYPES.has(targetSchema[tgtKey]?.type) || map.hooks?.[tgtKey]) continue;
+        const src = sourceSchema[srcKey];
+        if (!OPTION_TYPES.has(src?.type)) continue;
+        const { aliases, translate } = map.transforms?.[tgtKey]?.options || {};
+        const groups = statusGroups(src);
+        for (const opt of src[src.type].options || []) {
+            const aliased = applyAliases(opt.name, aliases);
+            const name = translate ? translateName(aliased, translate).name : aliased;
+            want(tgtKey, name, { color: opt.color, group: groups[opt.id] || null, from: srcKey });
+        }
+    }
+
+    // constants written by virtual fields / transforms
+    for (const [tgtKey, t] of Object.entries(map.transforms || {})) {
+        if (!OPTION_TYPES.has(targetSchema[tgtKey]?.type) || map.hooks?.[tgtKey]) continue;
+        if (t.name !== 'constant_multi_select') continue;
+        for (const name of t.options.values || []) want(tgtKey, name, { color: 'default', group: null, from: '(constant)' });
+    }
+    return wanted;
+}
+
+/**
+ * Pure comparison of what the map writes with what the target offers.
+ * @param {Object} map          – loaded task map
+ * @param {Object} sourceSchema – source DB `properties`
+ * @param {Object} targetSchema – target DB `properties`
+ * @returns {{ add: Array, manualStatus: Array, colorMismatches: Array }}
+ */
+function planOptions(map, sourceSchema, targetSchema) {
+    const plan = { add: [], manualStatus: [], colorMismatches: [] };
+
+    for (const [tgtKey, options] of wantedOptions(map, sourceSchema, targetSchema)) {
+        const prop = targetSchema[tgtKey];
+        const existing = new Map((prop[prop.type].options || []).map(o => [o.name, o]));
+
+        for (const [name, { color, group, from }] of options) {
+            const have = existing.get(name);
+            if (have) {
+                if (color && color !== 'default' && have.color !== color) {
+                    plan.colorMismatches.push({ property: tgtKey, name, source: color, target: have.color });
+                }
+            } else if (prop.type === 'status') {
+                plan.manualStatus.push({ property: tgtKey, name, color: color || 'default', group, from });
+            } else if (name.includes(',')) {
+                // Notion rejects commas in option names – report rather than fail the update
+                plan.manualStatus.push({ property: tgtKey, name, color: color || 'default', group: null, from, reason: 'contains a comma' });
+            } else {
+                plan.add.push({ property: tgtKey, type: prop.type, name, color: color || 'default', from });
+            }
+        }
+    }
+    return plan;
+}
+
+/**
+ * Adds plan.add to the target DB, one databases.update per property. Existing
+ * options are resent by ID so none is dropped.
+ */
+async function applyOptions(plan, targetDbId, targetSchema, { logger = defaultLogger } = {}) {
+    const byProperty = new Map();
+    for (const entry of plan.add) {
+        if (!byProperty.has(entry.property)) byProperty.set(entry.property, []);
+        byProperty.get(entry.property).push(entry);
+    }
+
+    for (const [property, entries] of byProperty) {
+        const prop = targetSchema[property];
+        const options = [
+            ...(prop[prop.type].options || []).map(({ id, name, color }) => ({ id, name, color })),
+            ...entries.map(({ name, color }) => ({ name, color }))
+        ];
+        await notion.databases.update({
+            database_id: targetDbId,
+            properties: { [property]: { [prop.type]: { options } } }
+        });
+        logger.info(
+            { event: 'options_added', property, options: entries.map(e => e.name) },
+            `➕ ${property}: added ${entries.map(e => `"${e.name}" (${e.color})`).join(', ')}`
+        );
+    }
+}
+
+/**
+ * Fetches both schemas, plans and (unless dryRun) adds missing options.
+ * @param {Object} map
+ * @param {Object} opts – { sourceDbId, targetDbId, dryRun, logger }
+ * @returns {Promise<{ add, manualStatus, colorMismatches, applied: boolean }>}
+ */
+async function provisionOptions(map, { sourceDbId, targetDbId, dryRun = false, logger = defaultLogger }) {
+    const [sourceDb, targetDb] = await Promise.all([
+        notion.databases.retrieve({ database_id: sourceDbId }),
+        notion.databases.retrieve({ database_id: targetDbId })
+    ]);
+    const plan = planOptions(map, sourceDb.properties, targetDb.properties);
+
+    for (const s of plan.manualStatus) {
+        logger.warn(
+            { event: 'option_manual', property: s.property, option: s.name, group: s.group },
+            `✋ ${s.property}: create "${s.name}" (${s.color}${s.group ? `, group ${s.group}` : ''}) in the Notion UI` +
+            (s.reason ? ` – ${s.reason}` : ' – the API cannot add status options')
+        );
+    }
+    for (const c of plan.colorMismatches) {
+        logger.debug({ event: 'option_color_mismatch', ...c }, `🎨 ${c.property}: "${c.name}" is ${c.target} in the target, ${c.source} in the source`);
+    }
+
+    if (dryRun || !plan.add.length) {
+        if (plan.add.length) logger.info({ event: 'options_planned', count: plan.add.length }, `(dry) Would add ${plan.add.length} option(s)`);
+        return { ...plan, applied: false };
+    }
+    await applyOptions(plan, targetDbId, targetDb.properties, { logger });
+    return { ...plan, applied: true };
+}
+
+module.exports = { planOptions, applyOptions, provisionOptions };
@@ -0,0 +1,169 @@
+// services/page_link_rewriter.js
+// ------------------------------
+// Points page references in a fetched block tree at the migrated copies:
+// `mention.page` rich text (in rich_text, captions and table cells) and
+// `link_to_page` blocks. Targets come from the LinkStore, searched across every
+// link type; only successful links count.
+//
+// References to pages that were never migrated get the fallback:
+//   keep – leave the source reference as is (same workspace, still resolves)
+//   text – plain text with the original title (default)
+//   link – the original title, linked to the source page URL
+//
+// Returns a new tree; the input is not mutated.
+
+const notion = require('./notion_client');
+const { CorruptLinkError } = require('./link_store');
+const defaultLogger = require('../logging/logger');
+
+const FALLBACKS = new Set(['keep', 'text', 'link']);
+
+function pageUrl(id) {
+    return `https://www.notion.so/${String(id).replace(/-/g, '')}`;
+}
+
+function textItem(content, item, url) {
+    return {
+        type: 'text',
+        text: { content, link: url ? { url } : null },
+        annotations: item?.annotations || {},
+        plain_text: content,
+        href: url || null
+    };
+}
+
+class PageLinkRewriter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.linkStore       – LinkStore / SqliteLinkStore
+     * @param {string} [options.fallback]      – keep | text | link
+     * @param {Object} [options.logger]
+     */
+    constructor({ linkStore, fallback = 'text', logger = defaultLogger }) {
+        if (!FALLBACKS.has(fallback)) {
+            throw new Error(`Unknown page link fallback "${fallback}" (keep, text, link)`);
+        }
+        this.linkStore = linkStore;
+        this.fallback = fallback;
+        this.logger = logger;
+        this.types = null;
+        this.targets = new Map(); // sourceId → Promise<targetId|null>, per rewrite
+        this.stats = { rewritten: 0, fallback: 0 };
+    }
+
+    /**
+     * @param {Array<Object>} blocks – block tree from fetchBlockTree
+     * @returns {Promise<Array<Object>>}
+     */
+    async rewrite(blocks) {
+        this.targets.clear();
+        this.types = await this.linkStore.listTypes();
+        const out = [];
+        for (const block of blocks) out.push(await this._block(block));
+        if (this.stats.rewritten || this.stats.fallback) {
+            this.logger.debug({ event: 'page_links_rewritten', ...this.stats }, `🔗 Page links: ${this.stats.rewritten} rewritten, ${this.stats.fallback} fallback (${this.fallback})`);
+        }
+        return out;
+    }
+
+    // Successful target of sourceId under any link type, or null
+    _target(sourceId) {
+        if (!this.targets.has(sourceId)) {
+            this.targets.set(sourceId, (async () => {
+                for (const type of this.types) {
+                    try {
+                        const link = await this.linkStore.loadIfExists(sourceId, type);
+                        if (link?.status === 'success' && link.targetId) return link.targetId;
+                    } catch (err) {
+                        if (!(err instanceof CorruptLinkError)) throw err;
+                        this.logger.warn({ event: 'link_corrupt', sourceId, linkType: type }, `⚠️ Corrupt "${type}" link for ${sourceId} – not used for page links`);
+                    }
+                }
+                return null;
+            })());
+        }
+        return this.targets.get(sourceId);
+    }
+
+    async _richText(items) {
+        const out = [];
+        for (const item of items) {
+            if (item?.type !== 'mention' || item.mention?.type !== 'page') {
+                out.push(item);
+                continue;
+            }
+            const sourceId = item.mention.page.id;
+            const targetId = await this._target(sourceId);
+            if (targetId) {
+                this.stats.rewritten++;
+                out.push({ ...item, mention: { type: 'page', page: { id: targetId } }, href: pageUrl(targetId) });
+            } else if (this.fallback === 'keep') {
+                out.push(item);
+            } else {
+                this.stats.fallback++;
+                const title = item.plain_text || 'Untitled';
+                out.push(textItem(title, item, this.fallback === 'link' ? pageUrl(sourceId) : null));
+            }
+        }
+        return out;
+    }
+
+    async _title(pageId) {
+        try {
+            const page = await notion.pages.retrieve({ page_id: pageId });
+            const title = Object.values(page.properties || {}).find(p => p.type === 'title');
+            return title?.title?.map(t => t.plain_text).join('') || 'Untitled';
+        } catch (err) {
+            this.logger.debug({ pageId, err: err.message }, 'Could not read title of linked page');
+            return 'Untitled';
+        }
+    }
+
+    async _block(block) {
+        const children = Array.isArray(block.children)
+            ? await Promise.all(block.children.map(c => this._block(c)))
+            : block.children;
+
+        if (block.type === 'link_to_page' && block.link_to_page?.type === 'page_id') {
+            const sourceId = block.link_to_page.page_id;
+            const targetId = await this._target(sourceId);
+            if (targetId) {
+                this.stats.rewritten++;
+                return { ...block, link_to_page: { type: 'page_id', page_id: targetId }, ...(children !== undefined && { children }) };
+            }
+            if (this.fallback !== 'keep') {
+                this.stats.fallback++;
+                const title = await this._title(sourceId);
+                const { link_to_page, ...rest } = block;
+                return {
+                    ...rest,
+                    type: 'paragraph',
+                    paragraph: { rich_text: [textItem(title, null, this.fallback === 'link' ? pageUrl(sourceId) : null)] },
+                    ...(children && { children })
+                };
+            }
+        }
+
+        const content = block[block.type];
+        if (!content || typeof content !== 'object') return { ...block, ...(children !== undefined && { children }) };
+        const next = { ...content };
+        if (Array.isArray(content.rich_text)) next.rich_text = await this._richText(content.rich_text);
+        if (Array.isArray(content.caption)) next.caption = await this._richText(content.caption);
+        if (Array.isArray(content.cells)) {
+            next.cells = [];
+            for (const cell of content.cells) next.cells.push(await this._richText(cell));
+        }
+        return { ...block, [block.type]: next, ...(children !== undefined && { children }) };
+    }
+}
+
+/**
+ * @param {Array<Object>} blocks
+ * @param {Object} options – { linkStore, fallback, logger }
+ * @returns {Promise<Array<Object>>}
+ */
+function rewritePageLinks(blocks, options) {
+    return new PageLinkRewriter(options).rewrite(blocks);
+}
+
+module.exports = { PageLinkRewriter, rewritePageLinks };
@@ -0,0 +1,224 @@
+// services/run_lock.js
+// --------------------
+// Exclusive, process-level lock for a sync run, keyed by link type + target DB.
+// Two syncs writing the same link type would each create a CENT page for the
+// same source, so the second run is refused instead.
+//
+// The lock is a small JSON file created with O_EXCL. The holder refreshes its
+// heartbeat periodically; a lock is considered stale (and is taken over) when
+// the holder's PID is gone on this host or its heartbeat is older than staleMs.
+//
+// Takeover never deletes the lock: a fresh record is written to a temp file and
+// renamed over the lock only if the lock file is still the one judged stale
+// (same inode and mtime – every heartbeat replaces the file). A short-lived
+// `<lock>.takeover` guard, also created with O_EXCL, keeps two runs from
+// taking over at once. Whoever loses any of these checks refuses to run.
+//
+// A heartbeat replaces the lock the same way, only if it is still the file it
+// just read as ours. When it isn't (a takeover landed), the holder sets
+// `lost` and stops beating; the caller checks `lost` between pages and stops
+// writing (RunLockLostError).
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+function pidAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM'; // exists, just not ours to signal
+    }
+}
+
+class RunLockLostError extends Error {
+    constructor(key) {
+        super(`Run lock ${key} was taken over by another run`);
+        this.name = 'RunLockLostError';
+        this.code = 'RUN_LOCK_LOST';
+        this.key = key;
+    }
+}
+
+class RunLock {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir          – directory holding lock files
+     * @param {string} options.linkType     – LinkStore migration type
+     * @param {string} options.targetDbId   – target Notion DB ID
+     * @param {Object} options.logger       – logger instance
+     * @param {string} [options.jobId]      – recorded for diagnostics
+     * @param {number} [options.heartbeatMs=30000]
+     * @param {number} [options.staleMs=120000]
+     */
+    constructor({ dir, linkType, targetDbId, logger, jobId = null, heartbeatMs = 30000, staleMs = 120000 }) {
+        this.dir = dir;
+        this.key = `${linkType}__${targetDbId}`;
+        this.file = path.join(dir, `${this.key}.lock`);
+        this.logger = logger;
+        this.jobId = jobId;
+        this.heartbeatMs = heartbeatMs;
+        this.staleMs = staleMs;
+        this.token = crypto.randomUUID();
+        this.timer = null;
+        this.lost = false; // set once another run holds the lock
+    }
+
+    _record() {
+        return {
+            token: this.token,
+            pid: process.pid,
+            hostname: os.hostname(),
+            jobId: this.jobId,
+            startedAt: this.startedAt,
+            heartbeatAt: new Date().toISOString()
+        };
+    }
+
+    async _readHolder() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf-8'));
+        } catch {
+            return null; // vanished or half-written – treat as unknown holder
+        }
+    }
+
+    async _stat() {
+        try {
+            const { ino, mtimeMs } = await fs.stat(this.file);
+            return { ino, mtimeMs };
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    _isStale(holder) {
+        if (!holder) return false;
+        if (holder.hostname === os.hostname() && !pidAlive(holder.pid)) return true;
+        return Date.now() - new Date(holder.heartbeatAt).getTime() > this.staleMs;
+    }
+
+    /**
+     * Try to take the lock. Resolves false (after logging `sync_refused`)
+     * when another live run holds it or a takeover could not be done safely.
+     * @returns {Promise<boolean>}
+     */
+    async acquire() {
+        await fs.mkdir(this.dir, { recursive: true });
+        this.startedAt = new Date().toISOString();
+
+        try {
+            const handle = await fs.open(this.file, 'wx');
+            try {
+                await handle.writeFile(JSON.stringify(this._record(), null, 2), 'utf-8');
+            } finally {
+                await handle.close();
+            }
+            return this._acquired();
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        // judge the file as it is now; the takeover only replaces this version
+        const judged = await this._stat();
+        const holder = judged && await this._readHolder();
+        if (this._isStale(holder)) {
+            this.logger.warn(
+                { event: 'run_lock_stale', lock: this.key, holder },
+                `⚠️ Taking over stale run lock ${this.key} (pid ${holder.pid}, heartbeat ${holder.heartbeatAt})`
+            );
+            if (await this._takeOver(judged)) return this._acquired();
+        }
+
+        this.logger.error(
+            { event: 'sync_refused', lock: this.key, holder },
+            `🛑 Another sync holds ${this.key} (pid ${holder?.pid ?? '?'} on ${holder?.hostname ?? '?'}, job ${holder?.jobId ?? '?'}) – refusing to run`
+        );
+        return false;
+    }
+
+    _acquired() {
+        this._startHeartbeat();
+        this.logger.info({ event: 'run_lock_acquired', lock: this.key }, `🔒 Acquired run lock ${this.key}`);
+        return true;
+    }
+
+    // Replaces the lock with our record if it is still the `judged` file.
+    // Resolves false when another run is taking over or the file changed.
+    async _takeOver(judged) {
+        const guard = `${this.file}.takeover`;
+        const tmp = `${this.file}.${this.token}.tmp`;
+        let guardHandle;
+        try {
+            guardHandle = await fs.open(guard, 'wx');
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            this.logger.warn({ event: 'run_lock_takeover_busy', lock: this.key, guard }, `Another run is taking over ${this.key} (remove ${guard} if none is)`);
+            return false;
+        }
+        try {
+            await fs.writeFile(tmp, JSON.stringify(this._record(), null, 2), 'utf-8');
+            const current = await this._stat();
+            if (!current || current.ino !== judged.ino || current.mtimeMs !== judged.mtimeMs) {
+                this.logger.warn({ event: 'run_lock_changed', lock: this.key }, `Run lock ${this.key} changed while taking it over`);
+                return false;
+            }
+            await fs.rename(tmp, this.file);
+            return true;
+        } finally {
+            await guardHandle.close();
+            await fs.unlink(tmp).catch(() => {});
+            await fs.unlink(guard).catch(() => {});
+        }
+    }
+
+    _startHeartbeat() {
+        this.timer = setInterval(() => {
+            this._beat().catch(err =>
+                this.logger.warn({ lock: this.key, err: err.message }, 'Run lock heartbeat failed')
+            );
+        }, this.heartbeatMs);
+        this.timer.unref();
+    }
+
+    async _beat() {
+        const seen = await this._stat();
+        const holder = seen && await this._readHolder();
+        if (holder?.token !== this.token) return this._lose(holder);
+
+        const tmp = `${this.file}.${this.token}.tmp`;
+        try {
+            await fs.writeFile(tmp, JSON.stringify(this._record(), null, 2), 'utf-8');
+            // a takeover between the read and now replaced the file – keep it
+            const current = await this._stat();
+            if (!current || current.ino !== seen.ino || current.mtimeMs !== seen.mtimeMs) {
+                return this._lose(await this._readHolder());
+            }
+            await fs.rename(tmp, this.file);
+        } finally {
+            await fs.unlink(tmp).catch(() => {});
+        }
+    }
+
+    _lose(holder) {
+        this.lost = true;
+        clearInterval(this.timer);
+        this.logger.error({ event: 'run_lock_lost', lock: this.key, holder }, `🛑 Run lock ${this.key} was taken over`);
+    }
+
+    /** Release the lock if (and only if) this process still holds it. */
+    async release() {
+        clearInterval(this.timer);
+        this.timer = null;
+        const holder = await this._readHolder();
+        if (holder?.token === this.token) {
+            await fs.unlink(this.file).catch(() => {});
+            this.logger.info({ event: 'run_lock_released', lock: this.key }, `🔓 Released run lock ${this.key}`);
+        }
+    }
+}
+
+module.exports = { RunLock, RunLockLostError };
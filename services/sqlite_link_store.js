@@ -0,0 +1,248 @@
+// services/sqlite_link_store.js
+// ----------------------------
+// LinkStore backend on an embedded SQLite file. Same API as link_store.js
+// (hasSourceId / save / load / loadIfExists / loadRaw / findBySourcePageName /
+// findByTargetId / loadAll / listTypes), but lookups hit indexes instead of
+// reading and parsing every shard on disk.
+//
+// Each row keeps the full link JSON in `data`; the hot fields are mirrored
+// into their own columns so they can be indexed.
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const Link = require('../models/Link');
+const { CorruptLinkError } = require('./link_store');
+
+const DEFAULT_MIGRATION_TYPE = 'tasks';
+
+function toLink(data) {
+    return new Link({
+        sourceId: data.sourceId,
+        targetId: data.targetId,
+        status: data.status,
+        syncedAt: data.syncedAt,
+        sourceDbId: data.sourceDbId,
+        sourceDbName: data.sourceDbName,
+        targetDbId: data.targetDbId,
+        targetDbName: data.targetDbName,
+        type: data.type,
+        sourcePageName: data.sourcePageName,
+        sourcePageIcon: data.sourcePageIcon || null,
+        targetPageName: data.targetPageName,
+        targetPageIcon: data.targetPageIcon || null,
+        notes: data.notes || '',
+        history: data.history || [],
+        dropReport: data.dropReport || []
+    });
+}
+
+function notFound(sourceId, migrationType) {
+    const err = new Error(`No link for sourceId ${sourceId} under "${migrationType}"`);
+    err.code = 'ENOENT';
+    return err;
+}
+
+class SqliteLinkStore {
+    /**
+     * @param {string} file   – path to the SQLite database file
+     * @param {Object} logger – logger instance
+     */
+    constructor(file, logger) {
+        this.file = file;
+        this.logger = logger;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.db = new Database(file);
+        this._migrate();
+        this.logger.trace(`Initialized SqliteLinkStore with file: ${this.file}`);
+    }
+
+    _migrate() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS links (
+                migrationType  TEXT NOT NULL,
+                sourceId       TEXT NOT NULL,
+                targetId       TEXT,
+                status         TEXT,
+                type           TEXT,
+                sourcePageName TEXT,
+                syncedAt       TEXT,
+                data           TEXT NOT NULL,
+                PRIMARY KEY (migrationType, sourceId)
+            );
+            CREATE INDEX IF NOT EXISTS idx_links_sourceId       ON links (sourceId);
+            CREATE INDEX IF NOT EXISTS idx_links_targetId       ON links (targetId);
+            CREATE INDEX IF NOT EXISTS idx_links_sourcePageName ON links (migrationType, sourcePageName);
+            CREATE INDEX IF NOT EXISTS idx_links_status         ON links (status);
+            CREATE INDEX IF NOT EXISTS idx_links_type           ON links (type);
+        `);
+
+        this.stmts = {
+            get: this.db.prepare(
+                'SELECT data FROM links WHERE migrationType = ? AND sourceId = ?'
+            ),
+            upsert: this.db.prepare(`
+                INSERT INTO links (migrationType, sourceId, targetId, status, type, sourcePageName, syncedAt, data)
+                VALUES (@migrationType, @sourceId, @targetId, @status, @type, @sourcePageName, @syncedAt, @data)
+                ON CONFLICT (migrationType, sourceId) DO UPDATE SET
+                    targetId = excluded.targetId,
+                    status = excluded.status,
+                    type = excluded.type,
+                    sourcePageName = excluded.sourcePageName,
+                    syncedAt = excluded.syncedAt,
+                    data = excluded.data
+            `),
+            byName: this.db.prepare(`
+                SELECT data FROM links
+                WHERE migrationType = ? AND sourcePageName = ? AND status = 'success'
+                ORDER BY rowid LIMIT 1
+            `),
+            byTarget: this.db.prepare(
+                'SELECT data FROM links WHERE migrationType = ? AND targetId = ? ORDER BY rowid LIMIT 1'
+            ),
+            byHistoryTarget: this.db.prepare(`
+                SELECT links.data FROM links, json_each(links.data, '$.history') AS h
+                WHERE links.migrationType = ? AND json_extract(h.value, '$.targetId') = ?
+                ORDER BY links.rowid LIMIT 1
+            `),
+            types: this.db.prepare(
+                'SELECT DISTINCT migrationType FROM links ORDER BY migrationType'
+            ),
+            all: this.db.prepare(
+                'SELECT data FROM links WHERE migrationType = ? ORDER BY rowid'
+            )
+        };
+    }
+
+    /**
+     * Check if a given sourceId has already been linked.
+     * @param {string} sourceId
+     * @param {string} migrationType
+     * @returns {Promise<boolean>}
+     */
+    async hasSourceId(sourceId, migrationType = DEFAULT_MIGRATION_TYPE) {
+        this.logger.debug(`Checking existence of sourceId row: ${migrationType}/${sourceId}`);
+        return Boolean(this.stmts.get.get(migrationType, sourceId));
+    }
+
+    /**
+     * Upsert a Link row. Keeps the previous history when the new link has none.
+     * @param {Link} link
+     * @param {string} migrationType
+     * @returns {Promise<void>}
+     */
+    async save(link, migrationType = DEFAULT_MIGRATION_TYPE) {
+        this.logger.trace('Entered save method');
+        const write = this.db.transaction(() => {
+            const prev = this.stmts.get.get(migrationType, link.sourceId);
+            const prevHistory = prev ? (JSON.parse(prev.data).history || []) : [];
+            const merged = {
+                ...link,
+                history: link.history ?? prevHistory
+            };
+            this.stmts.upsert.run({
+                migrationType,
+                sourceId: merged.sourceId,
+                targetId: merged.targetId ?? null,
+                status: merged.status ?? null,
+                type: merged.type ?? null,
+                sourcePageName: merged.sourcePageName ?? null,
+                syncedAt: merged.syncedAt ?? null,
+                data: JSON.stringify(merged)
+            });
+        });
+        write();
+        this.logger.debug(`Saved link row: ${migrationType}/${link.sourceId}`);
+    }
+
+    /**
+     * Load an existing Link by sourceId. Rejects with code ENOENT when missing,
+     * matching the file-backed store.
+     * @param {string} sourceId
+     * @param {string} migrationType
+     * @returns {Promise<Link>}
+     */
+    async load(sourceId, migrationType = DEFAULT_MIGRATION_TYPE) {
+        this.logger.trace('Entered load method');
+        return toLink(await this.loadRaw(sourceId, migrationType));
+    }
+
+    /**
+     * Load raw JSON for debugging (without instantiating Link).
+     * @param {string} sourceId
+     * @param {string} migrationType
+     * @returns {Promise<object>}
+     */
+    async loadRaw(sourceId, migrationType = DEFAULT_MIGRATION_TYPE) {
+        const row = this.stmts.get.get(migrationType, sourceId);
+        if (!row) throw notFound(sourceId, migrationType);
+        try {
+            return JSON.parse(row.data);
+        } catch (err) {
+            throw new CorruptLinkError(sourceId, `${this.file}#${migrationType}`, err.message);
+        }
+    }
+
+    /**
+     * Like load(), but resolves null when no link exists yet. Corrupt rows
+     * still reject with CorruptLinkError.
+     * @param {string} sourceId
+     * @param {string} migrationType
+     * @returns {Promise<Link|null>}
+     */
+    async loadIfExists(sourceId, migrationType = DEFAULT_MIGRATION_TYPE) {
+        if (!this.stmts.get.get(migrationType, sourceId)) return null;
+        return this.load(sourceId, migrationType);
+    }
+
+    /**
+     * Find the first successful Link with this sourcePageName, or null.
+     * @param {string} sourcePageName
+     * @param {string} migrationType
+     * @returns {Promise<Link|null>}
+     */
+    async findBySourcePageName(sourcePageName, migrationType = DEFAULT_MIGRATION_TYPE) {
+        this.logger.trace('Entered findBySourcePageName method');
+        const row = this.stmts.byName.get(migrationType, sourcePageName);
+        return row ? toLink(JSON.parse(row.data)) : null;
+    }
+
+    /**
+     * Find the Link whose current targetId — or any archived predecessor in
+     * history[].targetId — matches. Current targets win over history entries.
+     * @param {string} targetId
+     * @param {string} migrationType
+     * @returns {Promise<Link|null>}
+     */
+    async findByTargetId(targetId, migrationType = DEFAULT_MIGRATION_TYPE) {
+        this.logger.trace('Entered findByTargetId method');
+        const row = this.stmts.byTarget.get(migrationType, targetId)
+            || this.stmts.byHistoryTarget.get(migrationType, targetId);
+        return row ? toLink(JSON.parse(row.data)) : null;
+    }
+
+    /**
+     * List the migration types present in the store.
+     * @returns {Promise<string[]>}
+     */
+    async listTypes() {
+        return this.stmts.types.all().map(row => row.migrationType);
+    }
+
+    /**
+     * Load all Link entries for a given migration type.
+     * @param {string} migrationType
+     * @returns {Promise<Link[]>}
+     */
+    async loadAll(migrationType = DEFAULT_MIGRATION_TYPE) {
+        this.logger.trace('Entered loadAll method');
+        return this.stmts.all.all(migrationType).map(row => toLink(JSON.parse(row.data)));
+    }
+
+    /** Close the underlying database handle. */
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteLinkStore;
@@ -0,0 +1,103 @@
+// services/state_dirs.js
+// ----------------------
+// Local state the pipelines keep between runs – links/, runs/ (manifests,
+// watermarks), locks/ and cache/ (user directory) – resolved in one place so
+// a run can be pointed at an isolated copy:
+//
+//   SYNC_STATE_DIR=<dir>        – keep all four under <dir> instead of the repo
+//
+// Cassettes depend on that state: watermarks change the databases.query
+// filter and links decide between pages.create and the update path. So:
+//
+//   record – the state as it was before the run is snapshotted to
+//            <cassette>.state/; an existing cassette and snapshot are rotated
+//            to <name>.<timestamp> rather than overwritten
+//   replay – the snapshot is copied to a fresh temp dir and the run uses that,
+//            leaving the real links/ and runs/ untouched
+//
+// Record:  NOTION_CASSETTE_MODE=record NOTION_CASSETTE=cassettes/sync.jsonl node delta_sync
+// Replay:  NOTION_CASSETTE_MODE=replay NOTION_CASSETTE=cassettes/sync.jsonl node delta_sync
+//
+// LINK_STORE_SQLITE_PATH, when set, points outside the state dir and is not
+// snapshotted.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../logging/logger');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const STATE_NAMES = ['links', 'runs', 'locks', 'cache'];
+
+let root = null;
+
+function cassetteFile() {
+    return path.resolve(process.env.NOTION_CASSETTE || path.join(REPO_ROOT, 'cassettes/default.jsonl'));
+}
+
+function snapshotDirFor(file) {
+    return `${file}.state`;
+}
+
+// Moves an existing file/dir out of the way: foo.jsonl → foo.jsonl.<timestamp>
+function rotate(target) {
+    if (!fs.existsSync(target)) return null;
+    const rotated = `${target}.${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(target, rotated);
+    return rotated;
+}
+
+function liveRoot() {
+    return process.env.SYNC_STATE_DIR ? path.resolve(process.env.SYNC_STATE_DIR) : REPO_ROOT;
+}
+
+function snapshot(from, to) {
+    fs.mkdirSync(to, { recursive: true });
+    for (const name of STATE_NAMES) {
+        const src = path.join(from, name);
+        if (fs.existsSync(src)) fs.cpSync(src, path.join(to, name), { recursive: true });
+    }
+}
+
+/**
+ * Resolves the state root once per process; in cassette mode this is also
+ * where the snapshot is taken (record) or restored (replay). Idempotent.
+ * @returns {string}
+ */
+function initState() {
+    if (root) return root;
+    const mode = process.env.NOTION_CASSETTE_MODE;
+    const file = cassetteFile();
+    const snapshotDir = snapshotDirFor(file);
+
+    if (mode === 'replay') {
+        if (!fs.existsSync(snapshotDir)) {
+            throw new Error(`No state snapshot ${snapshotDir} for cassette ${file} – record it again`);
+        }
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-replay-'));
+        snapshot(snapshotDir, root);
+        logger.info({ event: 'state_restored', from: snapshotDir, root }, `📼 Replaying against a copy of ${snapshotDir}`);
+        return root;
+    }
+
+    root = liveRoot();
+    if (mode === 'record') {
+        const rotated = [rotate(file), rotate(snapshotDir)].filter(Boolean);
+        if (rotated.length) {
+            logger.warn({ event: 'cassette_rotated', rotated }, `📼 Kept the previous recording as ${rotated.join(', ')}`);
+        }
+        snapshot(root, snapshotDir);
+    }
+    return root;
+}
+
+/**
+ * Absolute path of a state directory (links, runs, locks, cache).
+ * @param {string} name
+ * @returns {string}
+ */
+function stateDir(name) {
+    return path.join(initState(), name);
+}
+
+module.exports = { stateDir, initState, cassetteFile, snapshotDirFor };
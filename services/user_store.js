@@ -1,31 +1,146 @@
 // services/user_store.js
 
+const fs = require('fs');
+const path = require('path');
 const logger = require('../logging/logger');
+const { stateDir } = require('./state_dirs');
+
+const DEFAULT_CACHE_FILE = path.join(stateDir('cache'), 'users.json');
+// A replayed run must not call users.list when the recorded cache has aged out
+const DEFAULT_TTL_MS = process.env.NOTION_CASSETTE_MODE === 'replay'
+  ? Infinity
+  : (Number(process.env.NOTION_USERS_TTL_HOURS) || 24) * 3600 * 1000;
+
+// Common English nicknames → canonical first name. Extend per workspace via
+// the `nicknames` option (see identities.yaml).
+const NICKNAMES = {
+  alex: 'alexander', andy: 'andrew', ben: 'benjamin', beth: 'elizabeth', bill: 'william',
+  bob: 'robert', chris: 'christopher', dan: 'daniel', dave: 'david', jim: 'james',
+  jimmy: 'james', joe: 'joseph', jon: 'jonathan', kate: 'katherine', katie: 'katherine',
+  liz: 'elizabeth', matt: 'matthew', mike: 'michael', nick: 'nicholas', pat: 'patricia',
+  rob: 'robert', sam: 'samuel', steve: 'steven', sue: 'susan', tom: 'thomas',
+  tony: 'anthony', will: 'william',
+};
 
 /**
- * A simple in-memory cache of Notion workspace users.
- * Polls the Notion API once upon init and caches results.
+ * Lower-case, strip diacritics and punctuation, collapse whitespace:
+ * "José  O'Neil" → "jose oneil".
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/[\s-]+/g, ' ')
+    .trim();
+}
+
+/**
+ * An in-memory directory of Notion workspace users, backed by a JSON cache on
+ * disk so a process start only calls users.list when the cache is older than
+ * the TTL (NOTION_USERS_TTL_HOURS, default 24). `npm run refresh-users`
+ * forces a refresh.
  */
 class UserStore {
   /**
    * @param {import('@notionhq/client').Client} notionClient - Throttled Notion API client instance.
+   * @param {Object} [options]
+   * @param {string|null} [options.cacheFile] - JSON cache path; null disables the disk cache.
+   * @param {number} [options.ttlMs] - how long the disk cache stays fresh.
+   * @param {Object<string,string>} [options.nicknames] - extra nickname → first name entries.
    */
-  constructor(notionClient) {
+  constructor(notionClient, { cacheFile = DEFAULT_CACHE_FILE, ttlMs = DEFAULT_TTL_MS, nicknames = {} } = {}) {
     this.client = notionClient;
+    this.cacheFile = cacheFile;
+    this.ttlMs = ttlMs;
+    this.nicknames = { ...NICKNAMES };
+    this.addNicknames(nicknames);
     this.users = null;
+    this.fetchedAt = null;
+    this.loading = null;
+    this.ambiguous = new Map(); // query → candidate names, for the ambiguity report
+  }
+
+  /**
+   * Add nickname → first name entries (case- and accent-insensitive).
+   * @param {Object<string,string>} nicknames
+   */
+  addNicknames(nicknames = {}) {
+    for (const [nick, name] of Object.entries(nicknames)) {
+      this.nicknames[normalizeName(nick)] = normalizeName(name);
+    }
   }
 
   /**
-   * Initialize the user cache by polling the Notion API.
-   * Should be called once before lookups.
+   * Load the directory: memory, then a fresh disk cache, then users.list.
+   * Concurrent callers share one load.
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - ignore the disk cache.
    * @returns {Promise<UserStore>}
    */
-  async init() {
-    if (this.users !== null) {
+  async init({ refresh = false } = {}) {
+    if (this.users !== null && !refresh) {
       return this;
     }
+    if (!this.loading) {
+      this.loading = this._load(refresh).finally(() => { this.loading = null; });
+    }
+    await this.loading;
+    return this;
+  }
+
+  /**
+   * Re-fetch users.list and rewrite the disk cache.
+   * @returns {Promise<UserStore>}
+   */
+  refresh() {
+    return this.init({ refresh: true });
+  }
+
+  async _load(refresh) {
+    const cached = refresh ? null : this._readCache();
+    if (cached) {
+      this.users = cached.users;
+      this.fetchedAt = cached.fetchedAt;
+      logger.debug(`UserStore loaded ${this.users.length} users from cache (${cached.fetchedAt}).`);
+      return;
+    }
+    await this._fetchAll();
+    this._writeCache();
+  }
+
+  _readCache() {
+    if (!this.cacheFile) return null;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'));
+      const age = Date.now() - new Date(data.fetchedAt).getTime();
+      if (!Array.isArray(data.users) || !(age >= 0 && age < this.ttlMs)) return null;
+      return data;
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn(`UserStore: ignoring unreadable cache ${this.cacheFile}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // temp file + rename, so a killed process never leaves half a cache
+  _writeCache() {
+    if (!this.cacheFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      const tmp = `${this.cacheFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ fetchedAt: this.fetchedAt, users: this.users }, null, 2));
+      fs.renameSync(tmp, this.cacheFile);
+    } catch (err) {
+      logger.warn(`UserStore: could not write cache ${this.cacheFile}: ${err.message}`);
+    }
+  }
+
+  async _fetchAll() {
     logger.debug('UserStore initialization started.');
-    this.users = [];
+    const users = [];
     let cursor = undefined;
 
     // Paginate through all users
@@ -34,30 +149,79 @@ class UserStore {
         page_size: 100,
         start_cursor: cursor,
       });
-      this.users.push(...response.results);
+      users.push(...response.results);
       cursor = response.next_cursor;
     } while (cursor);
 
+    this.users = users;
+    this.fetchedAt = new Date().toISOString();
     logger.debug(`UserStore initialization completed. Fetched ${this.users.length} users.`);
-    return this;
+  }
+
+  _requireInit() {
+    if (!this.users) {
+      throw new Error('UserStore not initialized. Call init() before lookups.');
+    }
+  }
+
+  // "bob o'neil" → ["robert", "oneil"]
+  _canonicalTokens(name) {
+    const tokens = normalizeName(name).split(' ').filter(Boolean);
+    if (tokens.length) tokens[0] = this.nicknames[tokens[0]] || tokens[0];
+    return tokens;
   }
 
   /**
-   * Find a user by their name (case-insensitive exact match).
+   * Fuzzy name lookup. Tries, in order, and stops at the first level with any
+   * candidates: exact (case-insensitive) → normalized (diacritics,
+   * punctuation, spacing) → nickname (first name through the nickname table)
+   * → first name only (for one-word queries). More than one candidate at that
+   * level is ambiguous: no user is returned and the query is recorded for
+   * ambiguityReport().
+   * @param {string} name
+   * @returns {{ user: Object|null, level: string|null, candidates: Array<Object> }}
+   */
+  matchName(name) {
+    this._requireInit();
+    const people = this.users.filter(u => u.name && u.type !== 'bot');
+    const query = String(name || '').trim();
+    const normalized = normalizeName(query);
+    const tokens = this._canonicalTokens(query);
+    const levels = [
+      ['exact', u => u.name.toLowerCase() === query.toLowerCase()],
+      ['normalized', u => normalizeName(u.name) === normalized],
+      ['nickname', u => this._canonicalTokens(u.name).join(' ') === tokens.join(' ')],
+      ['first_name', u => tokens.length === 1 && this._canonicalTokens(u.name)[0] === tokens[0]],
+    ];
+    if (!normalized) return { user: null, level: null, candidates: [] };
+
+    for (const [level, test] of levels) {
+      const candidates = people.filter(test);
+      if (candidates.length === 1) return { user: candidates[0], level, candidates };
+      if (candidates.length > 1) {
+        this.ambiguous.set(query, candidates.map(u => u.name));
+        logger.warn(
+          { event: 'user_ambiguous', query, level, candidates: candidates.map(u => u.id) },
+          `UserStore: "${query}" matches ${candidates.length} users (${candidates.map(u => u.name).join(', ')})`
+        );
+        return { user: null, level, candidates };
+      }
+    }
+    return { user: null, level: null, candidates: [] };
+  }
+
+  /**
+   * Find a user by name: exact case-insensitive match first, then the fuzzy
+   * levels of matchName(). Ambiguous names return null.
    * @param {string} name
    * @returns {string|null} - Notion user ID or null if not found.
    */
   getUserIdByName(name) {
-    if (!this.users) {
-      throw new Error('UserStore not initialized. Call init() before lookups.');
-    }
-    const match = this.users.find(
-      u => u.name && u.name.toLowerCase() === name.toLowerCase()
-    );
-    if (!match) {
+    const { user } = this.matchName(name);
+    if (!user) {
       logger.debug(`UserStore: No user found with name "${name}".`);
     }
-    return match ? match.id : null;
+    return user ? user.id : null;
   }
 
   /**
@@ -66,9 +230,7 @@ class UserStore {
    * @returns {string|null} - Notion user ID or null if not found.
    */
   getUserIdByEmail(email) {
-    if (!this.users) {
-      throw new Error('UserStore not initialized. Call init() before lookups.');
-    }
+    this._requireInit();
     const match = this.users.find(
       u => u.person && u.person.email && u.person.email.toLowerCase() === email.toLowerCase()
     );
@@ -78,16 +240,57 @@ class UserStore {
     return match ? match.id : null;
   }
 
+  /**
+   * Find a workspace member by Notion user ID.
+   * @param {string} id
+   * @returns {Object|null} - the user object or null if not a member.
+   */
+  getUserById(id) {
+    this._requireInit();
+    const key = String(id).replace(/-/g, '');
+    return this.users.find(u => u.id.replace(/-/g, '') === key) || null;
+  }
+
   /**
    * Return the full list of cached users.
    * @returns {Array<Object>}
    */
   getAllUsers() {
-    if (!this.users) {
-      throw new Error('UserStore not initialized. Call init() before lookups.');
-    }
+    this._requireInit();
     return this.users;
   }
+
+  /**
+   * Ambiguous names: lookups that matched several users this process, plus
+   * directory-wide collisions (users who share a normalized or nickname name).
+   * @returns {{ lookups: Array<{ query, candidates }>, collisions: Array<{ key, users }> }}
+   */
+  ambiguityReport() {
+    this._requireInit();
+    const groups = new Map();
+    for (const u of this.users) {
+      if (!u.name || u.type === 'bot') continue;
+      const key = this._canonicalTokens(u.name).join(' ');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(u.name);
+    }
+    return {
+      lookups: [...this.ambiguous].map(([query, candidates]) => ({ query, candidates })),
+      collisions: [...groups].filter(([, names]) => names.length > 1).map(([key, users]) => ({ key, users })),
+    };
+  }
+}
+
+let shared = null;
+
+/**
+ * One UserStore per process, so every map and identity file shares a single
+ * load of the directory.
+ * @returns {UserStore}
+ */
+function getSharedUserStore() {
+  if (!shared) shared = new UserStore(require('./notion_client'));
+  return shared;
 }
 
-module.exports = { UserStore };
\ No newline at end of file
+module.exports = { UserStore, getSharedUserStore, normalizeName };
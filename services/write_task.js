@@ -1,14 +1,19 @@
 // services/write_task.js
 // ---------------------
 // Creates a Notion page (task) **and** writes its entire block tree—
-// including nested child_page recursion—in one call.
+// including nested child_page recursion—in one call. Can also update an
+// existing page in place so its ID, relations and comments survive a resync.
 
 const path = require('path');
 const notion = require('./notion_client');
 const logger = require('../logging/logger').child({ module: 'write_task' });
 
-const sanitizeBlocks   = require('./block_sanitizer');
+const { sanitizeBlocks, placeholderCallout } = require('./block_sanitizer');
+const { rewritePageLinks } = require('./page_link_rewriter');
+const { copyInlineDatabase } = require('./inline_database');
 const { MediaMigrator } = require('./media_migrator');
+const { fetchBlockTree } = require('./fetch_blocks');
+const { diffBlocks }     = require('./block_diff');
 
 // ── ONE-TIME MEDIA-MIGRATOR ──────────────────────────────────────────
 const mediaMigrator = new MediaMigrator({
@@ -29,18 +34,98 @@ const mediaMigrator = new MediaMigrator({
 })();
 
 // ── UTILITIES ────────────────────────────────────────────────────────
+// Notion's append limits: 100 children per array, a block plus two levels
+// of nested children per request, 1000 blocks per request in total.
+const MAX_CHILDREN       = 100;
+const MAX_INLINE_DEPTH   = 3;
+const MAX_REQUEST_BLOCKS = 1000;
+
 function stripNestedChildren({ children, ...block }) {
     // Remove the read-only `children` array before writing
     logger.trace('Stripping nested children from block');
     return block;
 }
 
+const isSyncedReference = block => block.type === 'synced_block' && Boolean(block.synced_block?.synced_from);
+
+// Blocks in the subtree if it can be sent inline from `depth`, else null.
+// Synced blocks only go out at the top of a batch, where the created ID is
+// known (originals) or the reference can be re-pointed first.
+function inlineSize(block, depth = 1) {
+    if (block.type === 'child_page' || block.type === 'child_database') return null;
+    if (block.type === 'synced_block' && depth > 1) return null;
+    if (isSyncedReference(block)) return 1; // children are the original's
+    const children = block.children || [];
+    if (!children.length) return 1;
+    if (depth >= MAX_INLINE_DEPTH || children.length > MAX_CHILDREN) return null;
+    let size = 1;
+    for (const child of children) {
+        const childSize = inlineSize(child, depth + 1);
+        if (childSize === null) return null;
+        size += childSize;
+    }
+    return size;
+}
+
+// Write shape: nested children move into block[type].children
+function withInlineChildren(block) {
+    const bare = stripNestedChildren(block);
+    if (!block.children?.length) return bare;
+    return { ...bare, [block.type]: { ...bare[block.type], children: block.children.map(withInlineChildren) } };
+}
+
+// Points a synced block reference at the migrated original, when this write
+// created it; otherwise the source original is kept (same workspace)
+function repointSyncedReference(block, state) {
+    const sourceId = block.synced_block.synced_from.block_id;
+    const targetId = state.syncedIds.get(sourceId);
+    if (!targetId) {
+        logger.debug({ sourceId }, 'Synced block original not migrated in this write; keeping the source reference');
+        return stripNestedChildren(block);
+    }
+    return {
+        ...stripNestedChildren(block),
+        synced_block: { synced_from: { type: 'block_id', block_id: targetId } }
+    };
+}
+
+function writeShape({ block, inline }, state) {
+    if (isSyncedReference(block)) return repointSyncedReference(block, state);
+    return inline ? withInlineChildren(block) : stripNestedChildren(block);
+}
+
+// State shared by one page write: synced block originals created so far, plus
+// the sanitizer rules and page link options for bodies fetched mid-write
+function newWriteState({ pageId, sanitizer = {}, report = [], pageLinks = null } = {}) {
+    return { pageId, sanitizer, report, pageLinks, syncedIds: new Map() };
+}
+
+function recordAltered(state, block, reason) {
+    state.report.push({ blockId: block.id || null, type: block.type, rule: 'write_task', action: 'altered', reason });
+}
+
+// Direct child block IDs, in order
+async function listChildIds(blockId) {
+    const ids = [];
+    let cursor;
+    do {
+        const res = await notion.blocks.children.list({ block_id: blockId, page_size: 100, start_cursor: cursor });
+        ids.push(...res.results.map(b => b.id));
+        cursor = res.has_more ? res.next_cursor : undefined;
+    } while (cursor);
+    return ids;
+}
+
 // Retry wrapper for occasional Notion conflict errors
-async function safeAppendBlocks(parentId, blocks, retries = 3, logger) {
+async function safeAppendBlocks(parentId, blocks, retries = 3, logger, after) {
     for (let i = 0; i < retries; i++) {
         try {
-            logger.trace({ parentId, attempt: i + 1 }, 'Attempting to append blocks');
-            const res = await notion.blocks.children.append({ block_id: parentId, children: blocks });
+            logger.trace({ parentId, attempt: i + 1, count: blocks.length }, 'Attempting to append blocks');
+            const res = await notion.blocks.children.append({
+                block_id: parentId,
+                children: blocks,
+                ...(after && { after })
+            });
             logger.trace({ parentId }, 'Successfully appended blocks');
             return res;
         } catch (err) {
@@ -54,51 +139,269 @@ async function safeAppendBlocks(parentId, blocks, retries = 3, logger) {
     }
 }
 
-// Recursively writes block trees (handles child_page blocks natively)
-async function appendBlocksRecursively(parentId, blocks) {
-    logger.trace({ parentId }, 'Entering appendBlocksRecursively');
-    const q = blocks.map(b => ({ parentId, block: b }));
+// Writes a block tree under parentId in as few calls as the API allows.
+// Siblings go out in batches of up to 100; a block whose whole subtree fits
+// the nesting limits carries it inline. Deeper subtrees are sent bare and
+// recursed into with the created block's ID. child_page blocks become pages
+// (pages.create), which splits the batch so order is kept; child_database
+// blocks are recreated the same way (inline_database.js). Tables and column
+// layouts always carry their rows / columns; synced block references are
+// re-pointed at originals created earlier in the same write. `after` positions
+// the top-level blocks behind an existing sibling; nested blocks always land
+// in fresh parents so they need no anchor.
+async function appendBlocksRecursively(parentId, blocks, after = null, state = newWriteState()) {
+    logger.trace({ parentId, count: blocks.length }, 'Entering appendBlocksRecursively');
+    let batch = [];      // { block, inline }
+    let batchSize = 0;
 
-    while (q.length) {
-        const { parentId: pid, block } = q.shift();
+    const flush = async () => {
+        if (!batch.length) return;
+        const sent = batch;
+        batch = [];
+        batchSize = 0;
 
+        const res = await safeAppendBlocks(
+            parentId,
+            sent.map(entry => writeShape(entry, state)),
+            3,
+            logger,
+            after
+        );
+        const created = res.results || [];
+        if (created.length !== sent.length) {
+            logger.warn({ parentId, sent: sent.length, created: created.length }, 'Append returned an unexpected number of blocks');
+        }
+        if (after && created.length) after = created[created.length - 1].id;
+
+        for (const [i, { block, inline }] of sent.entries()) {
+            const createdId = created[i]?.id;
+            if (block.type === 'synced_block' && !isSyncedReference(block) && block.id && createdId) {
+                state.syncedIds.set(block.id, createdId);
+            }
+            if (inline || isSyncedReference(block) || !block.children?.length) continue;
+            if (!createdId) {
+                logger.warn({ parentId, type: block.type }, 'No ID for appended block; its children were not written');
+                continue;
+            }
+            await appendBlocksRecursively(createdId, block.children, null, state);
+        }
+    };
+
+    // Sends one block on its own and returns the created ID
+    const appendAlone = async (block) => {
+        await flush();
+        const res = await safeAppendBlocks(parentId, [block], 3, logger, after);
+        const createdId = res.results?.[0]?.id;
+        if (after && createdId) after = createdId;
+        return createdId;
+    };
+
+    for (const block of blocks) {
         // Handle nested pages
         if (block.type === 'child_page') {
+            await flush();
             logger.trace({ title: block.child_page.title }, 'Creating child page');
+            if (after) {
+                logger.warn({ title: block.child_page.title }, 'Child pages cannot be positioned; appending at the end');
+            }
             const pagePayload = {
-                parent: { page_id: pid },
+                parent: { page_id: parentId },
                 properties: { title: [{ type: 'text', text: { content: block.child_page.title } }] },
             };
             const childPage = await notion.pages.create(pagePayload);
             logger.trace({ childPageId: childPage.id }, 'Child page created');
             if (block.children?.length) {
-                q.push(...block.children.map(c => ({ parentId: childPage.id, block: c })));
+                await appendBlocksRecursively(childPage.id, block.children, null, state);
             }
             continue;
         }
 
-        // Normal block path
-        const res = await safeAppendBlocks(
-            pid,
-            [stripNestedChildren(block)],
-            3,
-            logger
-        );
-        const createdBlockId = res.results?.[0]?.id;
+        // Inline databases are recreated with schema and rows
+        if (block.type === 'child_database') {
+            await flush();
+            await writeInlineDatabase(parentId, block, after, state, appendAlone);
+            continue;
+        }
+
+        // References may point at an original in the current batch
+        if (isSyncedReference(block)) await flush();
+
+        let size = inlineSize(block);
+        if (size > MAX_REQUEST_BLOCKS) size = null;
+
+        // Tables and column layouts cannot be created empty
+        if (size === null && block.type === 'table') {
+            const rows = block.children || [];
+            const tableId = await appendAlone({ ...stripNestedChildren(block), table: { ...block.table, children: rows.slice(0, MAX_CHILDREN).map(stripNestedChildren) } });
+            if (tableId && rows.length > MAX_CHILDREN) await appendBlocksRecursively(tableId, rows.slice(MAX_CHILDREN), null, state);
+            continue;
+        }
+        if (size === null && block.type === 'column_list') {
+            await writeColumnList(block, state, appendAlone);
+            continue;
+        }
+        const cost = size ?? 1;
+        if (batch.length >= MAX_CHILDREN || batchSize + cost > MAX_REQUEST_BLOCKS) await flush();
+        batch.push({ block, inline: size !== null });
+        batchSize += cost;
+    }
+    await flush();
+}
+
+// column_list → columns → their leading children in one call; deeper
+// content, tables (which need their rows in the same call) and anything past
+// the first 100 blocks go into the created blocks, found by listing them. A
+// column that starts with a table gets a spacer paragraph, removed once the
+// rest is written.
+async function writeColumnList(block, state, appendAlone) {
+    const heads = block.children.map(column => {
+        const firstTable = column.children.findIndex(c => c.type === 'table');
+        const end = Math.min(firstTable === -1 ? column.children.length : firstTable, MAX_CHILDREN);
+        return column.children.slice(0, end);
+    });
+    const listId = await appendAlone({
+        ...stripNestedChildren(block),
+        column_list: {
+            children: block.children.map((column, i) => ({
+                ...stripNestedChildren(column),
+                column: {
+                    ...column.column,
+                    children: heads[i].length
+                        ? heads[i].map(child => writeShape({ block: child, inline: false }, state))
+                        : [{ type: 'paragraph', paragraph: { rich_text: [] } }]
+                }
+            }))
+        }
+    });
+    if (!listId) return;
 
-        if (block.children?.length && createdBlockId) {
-            q.push(...block.children.map(c => ({ parentId: createdBlockId, block: c })));
+    const columnIds = await listChildIds(listId);
+    for (const [i, column] of block.children.entries()) {
+        const columnId = columnIds[i];
+        if (!columnId) continue;
+        const childIds = await listChildIds(columnId);
+        for (const [j, child] of heads[i].entries()) {
+            if (!childIds[j]) continue;
+            if (child.type === 'synced_block' && !isSyncedReference(child) && child.id) state.syncedIds.set(child.id, childIds[j]);
+            if (child.children?.length && !isSyncedReference(child)) {
+                await appendBlocksRecursively(childIds[j], child.children, null, state);
+            }
         }
+        const rest = column.children.slice(heads[i].length);
+        if (rest.length) await appendBlocksRecursively(columnId, rest, null, state);
+        if (!heads[i].length && childIds[0]) await notion.blocks.delete({ block_id: childIds[0] });
+    }
+}
+
+// child_database → databases.create + rows under the target page. Databases
+// can only live directly on a page and cannot be positioned; anything the
+// API refuses becomes a placeholder callout.
+async function writeInlineDatabase(parentId, block, after, state, appendAlone) {
+    const title = block.child_database?.title;
+    if (after) {
+        logger.warn({ title }, 'Inline databases cannot be positioned; appending at the end');
+    }
+    try {
+        const { skipped, converted } = await copyInlineDatabase(block.id, parentId, {
+            title,
+            logger,
+            writeRow: async (row, created) => {
+                let body = await fetchBlockTree(row.id);
+                if (!body.length) return;
+                if (state.pageLinks) body = await rewritePageLinks(body, { ...state.pageLinks, logger });
+                const sanitized = sanitizeBlocks(body, { rules: state.sanitizer, report: state.report });
+                const mediaReady = await mediaMigrator.transformMediaBlocks(created.id, sanitized);
+                await appendBlocksRecursively(created.id, mediaReady, null, newWriteState({ ...state, pageId: created.id }));
+            }
+        });
+        if (skipped.length) recordAltered(state, block, `inline database properties not recreated: ${skipped.join(', ')}`);
+        if (converted.length) recordAltered(state, block, `inline database status properties became selects: ${converted.join(', ')}`);
+    } catch (err) {
+        logger.warn({ event: 'inline_db_failed', sourceDbId: block.id, err: err.message }, `⚠️ Could not recreate inline database "${title}": ${err.message}`);
+        recordAltered(state, block, `inline database not recreated (${err.message})`);
+        await appendAlone(placeholderCallout(block, `inline database "${title || 'Untitled'}" could not be recreated`));
     }
 }
 
+// Applies ops from block_diff in order: deletes, updates, then appends
+async function applyBlockPatch(pageId, ops, logger, state = newWriteState({ pageId })) {
+    for (const op of ops) {
+        if (op.op === 'delete') {
+            logger.trace({ blockId: op.blockId }, 'Deleting block');
+            await notion.blocks.delete({ block_id: op.blockId });
+        } else if (op.op === 'update') {
+            const { type } = op.block;
+            const { children, ...content } = op.block[type];
+            logger.trace({ blockId: op.blockId, type }, 'Updating block');
+            await notion.blocks.update({ block_id: op.blockId, [type]: content });
+        } else if (op.op === 'append') {
+            logger.trace({ parentId: op.parentId, after: op.after, count: op.blocks.length }, 'Appending blocks');
+            const mediaReady = await mediaMigrator.transformMediaBlocks(pageId, op.blocks);
+            await appendBlocksRecursively(op.parentId, mediaReady, op.after, state);
+        }
+    }
+}
+
+// Source inline DB ID → last_edited_time, so block_diff recreates copies
+// whose source changed; a database we can't read keeps its copy
+async function databaseEditTimes(blocks, logger, out = new Map()) {
+    for (const block of blocks) {
+        if (block.type === 'child_database' && !out.has(block.id)) {
+            try {
+                const db = await notion.databases.retrieve({ database_id: block.id });
+                out.set(block.id, db.last_edited_time);
+            } catch (err) {
+                logger.warn({ event: 'inline_db_unreadable', sourceDbId: block.id, err: err.message }, `⚠️ Could not check inline database ${block.id} for changes: ${err.message}`);
+            }
+        }
+        if (block.children?.length) await databaseEditTimes(block.children, logger, out);
+    }
+    return out;
+}
+
+// Reconciles an existing page body with the source tree via a minimal patch
+async function patchChildren(pageId, children, logger, sanitizer) {
+    logger.debug('Sanitizing children blocks');
+    const sanitized = sanitizeBlocks(children, sanitizer);
+
+    logger.debug('Fetching current target block tree');
+    const current = await fetchBlockTree(pageId);
+
+    const databaseEditedAt = await databaseEditTimes(sanitized, logger);
+    const ops = diffBlocks(pageId, sanitized, current, { databaseEditedAt });
+    const counts = ops.reduce((acc, o) => ({ ...acc, [o.op]: (acc[o.op] || 0) + 1 }), {});
+    logger.info({ pageId, ...counts }, `🧩 Block patch: ${ops.length} op(s)`);
+
+    await applyBlockPatch(pageId, ops, logger, newWriteState({ pageId, sanitizer: sanitizer?.rules, report: sanitizer?.report, pageLinks: sanitizer?.pageLinks }));
+    logger.trace('Completed block patch');
+}
+
+// sanitize → media → append, shared by create and update paths
+async function writeChildren(pageId, children, logger, sanitizer) {
+    logger.trace('Calling sanitizeBlocks on children');
+    logger.debug('Sanitizing children blocks');
+    // 1) clean up unsupported blocks
+    const sanitized = sanitizeBlocks(children, sanitizer);
+    logger.trace('Calling transformMediaBlocks');
+    logger.debug('Transforming media blocks');
+    // 2) resolve media → file_upload blocks
+    const mediaReady = await mediaMigrator.transformMediaBlocks(pageId, sanitized);
+    logger.debug('Appending blocks recursively (including nested pages/blocks)');
+    // 3) write everything, including nested pages/blocks
+    await appendBlocksRecursively(pageId, mediaReady, null, newWriteState({ pageId, sanitizer: sanitizer?.rules, report: sanitizer?.report, pageLinks: sanitizer?.pageLinks }));
+    logger.trace('Completed recursive block append');
+}
+
 // ── MAIN ENTRYPOINT ──────────────────────────────────────────────────
 /**
- * @param {object} transformedTask – { properties, children?, icon?, cover? }
+ * @param {object} transformedTask – { properties, children?, icon?, cover?, sanitizer?, pageLinks? }
  * @param {string} dbId            – target Notion DB ID
+ * @param {object} logger
+ * @param {object} [options]
+ * @param {Array}  [options.report] – receives what the sanitizer dropped or altered
  * @returns {Promise<object>}      – Notion page object
  */
-async function writeToDBB(transformedTask, dbId, logger) {
+async function writeToDBB(transformedTask, dbId, logger, { report } = {}) {
     logger.info(`Starting writeToDBB for dbId ${dbId}`);
     logger.trace('Preparing page payload');
     const payload = {
@@ -120,18 +423,7 @@ async function writeToDBB(transformedTask, dbId, logger) {
     logger.debug(`Created Notion page with id ${page.id}`);
 
     if (transformedTask.children?.length) {
-        logger.trace('Calling sanitizeBlocks on children');
-        logger.debug('Sanitizing children blocks');
-        // 1) clean up unsupported blocks
-        const sanitized = sanitizeBlocks(transformedTask.children);
-        logger.trace('Calling transformMediaBlocks');
-        logger.debug('Transforming media blocks');
-        // 2) resolve media → file_upload blocks
-        const mediaReady = await mediaMigrator.transformMediaBlocks(page.id, sanitized);
-        logger.debug('Appending blocks recursively (including nested pages/blocks)');
-        // 3) write everything, including nested pages/blocks
-        await appendBlocksRecursively(page.id, mediaReady);
-        logger.trace('Completed recursive block append');
+        await writeChildren(page.id, transformedTask.children, logger, { rules: transformedTask.sanitizer, report, pageLinks: transformedTask.pageLinks });
     } else {
         logger.warn('No children blocks to write after page creation');
     }
@@ -140,4 +432,44 @@ async function writeToDBB(transformedTask, dbId, logger) {
     return page;
 }
 
-module.exports = { writeToDBB };
\ No newline at end of file
+/**
+ * Patches an existing target page in place: properties, icon and cover via
+ * pages.update, then patches the block tree under the same page ID with the
+ * minimal set of appends, updates and deletes (see block_diff.js).
+ * Leaves the body untouched when the payload carries no `children` key
+ * (i.e. the map skipped blocks).
+ *
+ * @param {object} transformedTask – { properties, children?, icon?, cover?, sanitizer?, pageLinks? }
+ * @param {string} pageId          – existing target page ID
+ * @param {object} logger
+ * @param {object} [options]
+ * @param {Array}  [options.report] – receives what the sanitizer dropped or altered
+ * @returns {Promise<object>}      – updated Notion page object
+ */
+async function updateInDBB(transformedTask, pageId, logger, { report } = {}) {
+    logger.info(`Starting updateInDBB for pageId ${pageId}`);
+    const payload = {
+        page_id: pageId,
+        properties: transformedTask.properties,
+    };
+    if (transformedTask.icon) {
+        logger.debug('Assigning icon to page update');
+        payload.icon = transformedTask.icon;
+    }
+    if (transformedTask.cover) {
+        logger.debug('Assigning cover to page update');
+        payload.cover = transformedTask.cover;
+    }
+
+    logger.debug('Updating Notion page properties');
+    const page = await notion.pages.update(payload);
+
+    if (Array.isArray(transformedTask.children)) {
+        await patchChildren(pageId, transformedTask.children, logger, { rules: transformedTask.sanitizer, report, pageLinks: transformedTask.pageLinks });
+    }
+
+    logger.info(`Finished updateInDBB for pageId ${pageId}`);
+    return page;
+}
+
+module.exports = { writeToDBB, updateInDBB };
\ No newline at end of file
@@ -0,0 +1,282 @@
+// transformations/coerce.js
+// ------------------------
+// Converts a property value into the type the target property expects, so a
+// plain copy (or a hook) between mismatched types still yields a valid
+// payload: select → multi_select, files → url, status → rich_text, …
+//
+//   coerce(value, targetType, { logger, targetKey }) → write-shape value
+//
+// `value` may be in read shape (straight from a source page) or write shape
+// (from a hook). Conversions that drop information are logged at warn level;
+// pairs with no sensible conversion throw CoercionError.
+
+class CoercionError extends Error {
+    constructor(fromType, toType, targetKey) {
+        super(`Cannot convert ${fromType} into ${toType}${targetKey ? ` for "${targetKey}"` : ''}`);
+        this.name = 'CoercionError';
+        this.code = 'COERCION_IMPOSSIBLE';
+        this.fromType = fromType;
+        this.toType = toType;
+    }
+}
+
+const TEXT_TYPES = new Set(['title', 'rich_text']);
+const STRING_TYPES = new Set(['url', 'email', 'phone_number']);
+const MAX_TEXT = 2000;
+const MAX_OPTION = 100; // select / multi_select option names
+
+// Read-only source types and what they behave like
+function unwrap(type, payload) {
+    switch (type) {
+        case 'formula': {
+            const kind = payload?.type;
+            const as = { boolean: 'checkbox', number: 'number', date: 'date' }[kind] || 'rich_text_plain';
+            return { type: as, payload: kind ? payload[kind] : null };
+        }
+        case 'rollup':
+            if (payload?.type === 'number') return { type: 'number', payload: payload.number };
+            if (payload?.type === 'date') return { type: 'date', payload: payload.date };
+            return { type: 'rollup_array', payload: payload?.array || [] };
+        case 'created_time':
+        case 'last_edited_time':
+            return { type: 'date', payload: payload ? { start: payload } : null };
+        case 'created_by':
+        case 'last_edited_by':
+            return { type: 'people', payload: payload ? [payload] : [] };
+        case 'unique_id':
+            return { type: 'unique_id', payload };
+        default:
+            return { type, payload };
+    }
+}
+
+/** Detect the property type of a read- or write-shape value. */
+function typeOf(value) {
+    if (!value || typeof value !== 'object') return null;
+    if (value.type && value.type in value) return value.type;
+    const keys = Object.keys(value).filter(k => k !== 'id' && k !== 'type' && k !== 'has_more');
+    return keys.length === 1 ? keys[0] : null;
+}
+
+/* ── intermediate forms ────────────────────────────────────────────── */
+function plain(richText) {
+    return (richText || []).map(rt => rt.plain_text ?? rt.text?.content ?? '').join('');
+}
+
+function fileUrl(file) {
+    return file?.external?.url || file?.file?.url || null;
+}
+
+// Everything that has a sensible textual form
+function asText(type, payload) {
+    switch (type) {
+        case 'title':
+        case 'rich_text':       return plain(payload);
+        case 'rich_text_plain': return payload ?? '';
+        case 'url':
+        case 'email':
+        case 'phone_number':    return payload ?? '';
+        case 'select':
+        case 'status':          return payload?.name ?? '';
+        case 'multi_select':    return (payload || []).map(o => o.name).join(', ');
+        case 'number':          return payload === null || payload === undefined ? '' : String(payload);
+        case 'checkbox':        return payload ? 'Yes' : 'No';
+        case 'date':            return payload ? (payload.end ? `${payload.start} → ${payload.end}` : payload.start) : '';
+        case 'people':          return (payload || []).map(p => p.name || p.person?.email || p.id).join(', ');
+        case 'files':           return (payload || []).map(f => fileUrl(f) || f.name).filter(Boolean).join(', ');
+        case 'unique_id':       return payload ? `${payload.prefix ? `${payload.prefix}-` : ''}${payload.number}` : '';
+        default:                return null;
+    }
+}
+
+// Option-like names; text is split on commas only for multi_select targets
+// ("Smith, John" is one select value)
+function asNames(type, payload, { split = false } = {}) {
+    switch (type) {
+        case 'select':
+        case 'status':       return payload?.name ? [payload.name] : [];
+        case 'multi_select': return (payload || []).map(o => o.name).filter(Boolean);
+        case 'people':       return (payload || []).map(p => p.name).filter(Boolean);
+        default: {
+            const text = asText(type, payload);
+            if (text === null) return null;
+            return (split ? text.split(',') : [text]).map(s => s.trim()).filter(Boolean);
+        }
+    }
+}
+
+const TRUTHY = new Set(['yes', 'y', 'true', '1', 'x', '✓', '✔', '✅', 'done', 'checked']);
+const FALSY = new Set(['', 'no', 'n', 'false', '0', 'unchecked']);
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/; // 2025-03-04, optionally followed by a time
+
+/**
+ * @param {Object} value        – property value (read or write shape)
+ * @param {string} targetType   – target property type
+ * @param {Object} [ctx]        – { logger, targetKey }
+ * @returns {Object} value in write shape for targetType
+ */
+function coerce(value, targetType, { logger, targetKey } = {}) {
+    const rawType = typeOf(value);
+    if (!rawType || rawType === targetType) return value;
+
+    const { type: fromType, payload } = unwrap(rawType, value[rawType]);
+    const lossy = (detail) => logger?.warn(
+        { event: 'coerce_lossy', targetKey, fromType: rawType, toType: targetType },
+        `⚠️ ${targetKey || 'property'}: ${rawType} → ${targetType} ${detail}`
+    );
+    const impossible = () => { throw new CoercionError(rawType, targetType, targetKey); };
+    // Notion rejects option names with commas or over MAX_OPTION characters
+    const optionName = (name) => {
+        let out = name;
+        if (out.includes(',')) {
+            out = out.replace(/\s*,\s*/g, ' ').trim();
+            lossy(`"${name}": option names cannot contain commas – removed`);
+        }
+        if (out.length > MAX_OPTION) {
+            out = out.slice(0, MAX_OPTION).trim();
+            lossy(`"${name.slice(0, 40)}…" truncated to ${MAX_OPTION} characters`);
+        }
+        return out;
+    };
+
+    if (fromType === targetType) return { [targetType]: payload };
+
+    switch (targetType) {
+        case 'title':
+        case 'rich_text': {
+            if (TEXT_TYPES.has(fromType)) return { [targetType]: payload };
+            if (fromType === 'relation' || fromType === 'rollup_array') impossible();
+            let text = asText(fromType, payload) ?? impossible();
+            if (text.length > MAX_TEXT) {
+                lossy(`truncated to ${MAX_TEXT} characters`);
+                text = text.slice(0, MAX_TEXT);
+            }
+            if (fromType === 'people' && text) lossy('keeps names only');
+            return { [targetType]: text ? [{ type: 'text', text: { content: text } }] : [] };
+        }
+
+        case 'select':
+        case 'status': {
+            const names = asNames(fromType, payload);
+            if (names === null || fromType === 'relation') impossible();
+            if (names.length > 1) lossy(`keeps "${names[0]}", drops ${names.slice(1).map(n => `"${n}"`).join(', ')}`);
+            return { [targetType]: names.length ? { name: optionName(names[0]) } : null };
+        }
+
+        case 'multi_select': {
+            const names = asNames(fromType, payload, { split: true });
+            if (names === null || fromType === 'relation') impossible();
+            const options = [...new Set(names.map(optionName))];
+            if (names.length > 1 && !['multi_select', 'people'].includes(fromType)) {
+                lossy(`split on commas into ${options.length} options`);
+            }
+            return { multi_select: options.map(name => ({ name })) };
+        }
+
+        case 'url':
+        case 'email':
+        case 'phone_number': {
+            if (fromType === 'files') {
+                if (targetType !== 'url') impossible();
+                const urls = (payload || []).map(fileUrl).filter(Boolean);
+                if (urls.length > 1) lossy(`keeps the first of ${urls.length} files`);
+                return { url: urls[0] || null };
+            }
+            if (!TEXT_TYPES.has(fromType) && !STRING_TYPES.has(fromType) &&
+                !['rich_text_plain', 'select', 'status', 'number', 'unique_id'].includes(fromType)) {
+                impossible();
+            }
+            const text = asText(fromType, payload).trim();
+            return { [targetType]: text || null };
+        }
+
+        case 'number': {
+            if (fromType === 'checkbox') return { number: payload ? 1 : 0 };
+            if (fromType === 'unique_id') return { number: payload?.number ?? null };
+            const text = asText(fromType, payload);
+            if (text === null || ['people', 'files', 'multi_select', 'date'].includes(fromType)) impossible();
+            if (!text.trim()) return { number: null };
+            const n = Number(text.replace(/[,\s]/g, '').replace(/%$/, ''));
+            if (Number.isNaN(n)) {
+                lossy(`"${text}" is not a number – left empty`);
+                return { number: null };
+            }
+            return { number: n };
+        }
+
+        case 'checkbox': {
+            if (fromType === 'number') return { checkbox: Boolean(payload) };
+            const text = asText(fromType, payload);
+            if (text === null || ['people', 'files', 'date'].includes(fromType)) impossible();
+            const key = text.trim().toLowerCase();
+            if (TRUTHY.has(key)) return { checkbox: true };
+            if (!FALSY.has(key)) lossy(`"${text}" read as unchecked`);
+            return { checkbox: false };
+        }
+
+        case 'date': {
+            if (!TEXT_TYPES.has(fromType) && !['rich_text_plain', 'select', 'status', 'url'].includes(fromType)) impossible();
+            const text = asText(fromType, payload).trim();
+            if (!text) return { date: null };
+            // ISO-like only: Date() guesses at "03/04/2025" or "next Tuesday"
+            const parsed = ISO_DATE.test(text) ? new Date(text) : new Date(NaN);
+            if (Number.isNaN(parsed.getTime())) {
+                lossy(`"${text}" is not an ISO date – left empty`);
+                return { date: null };
+            }
+            return { date: { start: /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : parsed.toISOString() } };
+        }
+
+        case 'people':
+            // names/emails need a user lookup – that's a hook's job
+            impossible();
+            break;
+
+        case 'relation':
+            impossible();
+            break;
+
+        case 'files': {
+            if (!TEXT_TYPES.has(fromType) && !STRING_TYPES.has(fromType)) impossible();
+            const urls = asText(fromType, payload).split(/[\s,]+/).filter(u => /^https?:\/\//i.test(u));
+            return {
+                files: urls.map(url => ({ type: 'external', name: url.slice(0, 100), external: { url } }))
+            };
+        }
+
+        default:
+            impossible();
+    }
+}
+
+/**
+ * Whether fromType → toType converts at all, and if it can lose data.
+ * Used by validate-map without real values.
+ * @returns {'same'|'ok'|'lossy'|'impossible'}
+ */
+function coercibility(fromType, toType) {
+    if (fromType === toType) return 'same';
+    const probe = {
+        title: [{ plain_text: 'a' }], rich_text: [{ plain_text: 'a' }], url: 'a', email: 'a', phone_number: 'a',
+        select: { name: 'a' }, status: { name: 'a' }, multi_select: [{ name: 'a' }], number: 1, checkbox: true,
+        date: { start: '2024-01-01' }, people: [{ id: 'a' }], relation: [{ id: 'a' }], files: [],
+        formula: { type: 'string', string: 'a' }, rollup: { type: 'array', array: [] },
+        created_time: '2024-01-01T00:00:00.000Z', last_edited_time: '2024-01-01T00:00:00.000Z',
+        created_by: { id: 'a' }, last_edited_by: { id: 'a' }, unique_id: { prefix: null, number: 1 }
+    };
+    if (!(fromType in probe)) return 'impossible';
+    let lossy = false;
+    try {
+        coerce({ type: fromType, [fromType]: probe[fromType] }, toType, { logger: { warn: () => { lossy = true; } } });
+    } catch (err) {
+        if (err instanceof CoercionError) return 'impossible';
+        throw err;
+    }
+    const alwaysLossy = (fromType === 'multi_select' && ['select', 'status'].includes(toType))
+        || (fromType === 'files' && toType === 'url')
+        || (fromType === 'people' && TEXT_TYPES.has(toType))
+        || (TEXT_TYPES.has(fromType) && ['number', 'date', 'checkbox', 'multi_select'].includes(toType));
+    return lossy || alwaysLossy ? 'lossy' : 'ok';
+}
+
+module.exports = { coerce, coercibility, typeOf, CoercionError };
@@ -0,0 +1,181 @@
+// transformations/map_loader.js
+// -----------------------------
+// Loads a declarative property map (YAML or JSON) into the shape
+// task_transformer.js consumes:
+//
+//   name: apt_tasks
+//   databases:                     # env vars holding the DB IDs (validate-map)
+//     source: APT_DB_ID
+//     target: NOTION_CENT_DB_ID
+//   required: [Due]                # target properties every page must get
+//   aliases:                       # named value-alias tables
+//     brands: { Settled: SettledUSA }
+//   translations:                  # named value tables for *_by_name transforms
+//     apt_priority:
+//       map: { P1: High, P2: Medium, Someday: null }   # null drops the value
+//       default: Low               #   unmapped values → this bucket (null drops,
+//                                  #   omit to pass them through); always warned
+//   properties:                    # source property → target property
+//     Name: Name                   #   plain copy
+//     Priority:
+//       to: Priority (APT)
+//       transform: select_by_name  #   built-in from transforms.js
+//       translate: apt_priority    #   table name, or an inline { map, default }
+//     Brand:
+//       to: Brands
+//       transform: relation_via_links:tags
+//       aliases: brands            #   table name, or an inline { from: to }
+//   virtual:                       # target-only fields
+//     Labels:
+//       transform: constant_multi_select
+//       values: [Ad Production Tasks]
+//   options:
+//     skipBlocks: false
+//     pageLinks:                   # page mentions / link_to_page blocks
+//       fallback: text             #   when unmigrated: keep | text | link
+//     sanitizer:                   # block_sanitizer.js rules (names, see DEFAULT_RULES)
+//       enable: [drop_empty_paragraphs]
+//       disable: [strip_data_url_images]
+//
+// Any key besides `to` / `transform` is passed to the transform as an option.
+// JS hooks (keyed by target property) can still be supplied by the caller and
+// win over transforms: hooks > transforms > plain copy.
+// Hooks are called as (sourceValue, ctx) with ctx { logger, page, targetKey };
+// sourceValue is undefined for virtual fields.
+// A transform naming identity `roles` fails the load while a role is unset.
+// Custom sanitizer rules come in the same way (extras.sanitizerRules) and can
+// then be named under options.sanitizer.enable.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseTransform, assertRolesSet } = require('./transforms');
+const { registerRule, resolveRules } = require('../services/block_sanitizer');
+
+function parseFile(file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    return /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+}
+
+const TRANSLATING = new Set(['select_by_name', 'status_by_name', 'multi_select_by_name', 'select_to_multi_select']);
+
+function compileTranslation(ref, spec, where) {
+    const table = typeof ref === 'string' ? spec.translations?.[ref] : ref;
+    if (!table) throw new Error(`${where}: unknown translation table "${ref}"`);
+    if (!table.map || typeof table.map !== 'object' || Array.isArray(table.map)) {
+        throw new Error(`${where}: a translation table needs a \`map\` of source value → target value`);
+    }
+    if ('default' in table && table.default !== null && typeof table.default !== 'string') {
+        throw new Error(`${where}: translation \`default\` must be a value name or null`);
+    }
+    const compiled = { map: {} };
+    for (const [from, to] of Object.entries(table.map)) compiled.map[from] = to === null ? null : String(to);
+    if ('default' in table) compiled.default = table.default;
+    return compiled;
+}
+
+function compileTransform(entry, spec, where) {
+    const { to, transform, ...options } = entry;
+    const { name, arg } = parseTransform(transform);
+    if (typeof options.aliases === 'string') {
+        const table = spec.aliases?.[options.aliases];
+        if (!table) throw new Error(`${where}: unknown alias table "${options.aliases}"`);
+        options.aliases = table;
+    }
+    if (options.translate !== undefined) {
+        if (!TRANSLATING.has(name)) throw new Error(`${where}: ${name} does not take a translation table`);
+        options.translate = compileTranslation(options.translate, spec, where);
+    }
+    if (options.roles) assertRolesSet(options.roles, options.identities);
+    return { name, arg, options };
+}
+
+/**
+ * @param {string} file – path to a .yaml/.yml/.json map
+ * @param {Object} [extras]
+ * @param {Object<string, Function>} [extras.hooks] – JS hooks by target property
+ * @param {Function} [extras.postProcess]
+ * @param {Object<string, Function>} [extras.sanitizerRules] – custom block sanitizer rules by name
+ * @returns {Object} map for task_transformer.js
+ */
+function loadMap(file, { hooks = {}, postProcess, sanitizerRules = {} } = {}) {
+    const spec = parseFile(file) || {};
+    const label = path.basename(file);
+
+    for (const [name, fn] of Object.entries(sanitizerRules)) registerRule(name, fn);
+    if (spec.options?.sanitizer) {
+        try {
+            resolveRules(spec.options.sanitizer);
+        } catch (err) {
+            throw new Error(`${label} › options › sanitizer: ${err.message}`);
+        }
+    }
+
+    const map = {
+        name:            spec.name || label.replace(/\.[^.]+$/, ''),
+        file,
+        mappings:        {},
+        virtualMappings: [],
+        transforms:      {},
+        hooks:           { ...hooks },
+        options:         spec.options || {},
+        databases:       spec.databases || {},
+        required:        spec.required || [],
+        ...(postProcess && { postProcess })
+    };
+
+    for (const [srcKey, entry] of Object.entries(spec.properties || {})) {
+        const where = `${label} › properties › ${srcKey}`;
+        if (entry === null || typeof entry === 'string') {
+            map.mappings[srcKey] = entry || srcKey;
+            continue;
+        }
+        const tgtKey = entry.to || srcKey;
+        map.mappings[srcKey] = tgtKey;
+        if (entry.translate !== undefined && !entry.transform) {
+            throw new Error(`${where}: translate needs a *_by_name transform`);
+        }
+        if (entry.transform) {
+            try {
+                map.transforms[tgtKey] = compileTransform(entry, spec, where);
+            } catch (err) {
+                throw new Error(`${where}: ${err.message}`);
+            }
+        }
+    }
+
+    for (const [tgtKey, entry] of Object.entries(spec.virtual || {})) {
+        const where = `${label} › virtual › ${tgtKey}`;
+        map.virtualMappings.push(tgtKey);
+        if (entry?.transform) {
+            try {
+                map.transforms[tgtKey] = compileTransform(entry, spec, where);
+            } catch (err) {
+                throw new Error(`${where}: ${err.message}`);
+            }
+        } else if (!hooks[tgtKey]) {
+            throw new Error(`${where}: virtual fields need a transform or a JS hook`);
+        }
+    }
+
+    return map;
+}
+
+// CLI shorthands for the maps shipped with the repo
+const SHORTHANDS = {
+    apt: './apt_tasks_map',
+    mcc: './mcc_tasks_map',
+    sm:  './sm_tasks_map'
+};
+
+/**
+ * Map for a CLI argument: a shorthand (apt|mcc|sm), a .yaml/.json map or a JS
+ * map module, relative to the working directory.
+ */
+function resolveMap(arg) {
+    if (SHORTHANDS[arg]) return require(SHORTHANDS[arg]);
+    const file = path.resolve(process.cwd(), arg);
+    return /\.(ya?ml|json)$/i.test(file) ? loadMap(file) : require(file);
+}
+
+module.exports = { loadMap, resolveMap };
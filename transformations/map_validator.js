@@ -0,0 +1,162 @@
+// transformations/map_validator.js
+// --------------------------------
+// Checks a task map against the source and target database schemas before any
+// page is touched. Pure: takes the `properties` objects of both
+// databases.retrieve() responses and returns a report.
+//
+//   { ok, errors: [...], warnings: [...], checks: [...] }
+//
+// Every entry is { level: 'ok'|'warn'|'error', subject, message }.
+
+const { signatures } = require('./transforms');
+const { coercibility } = require('./coerce');
+
+// Types Notion computes – never valid as a write target
+const READ_ONLY_TYPES = new Set([
+    'formula', 'rollup', 'created_time', 'created_by', 'last_edited_time',
+    'last_edited_by', 'unique_id', 'button', 'verification'
+]);
+
+/**
+ * @param {Object} map          – loaded task map (mappings, virtualMappings, hooks, transforms, required)
+ * @param {Object} sourceSchema – source DB `properties`
+ * @param {Object} targetSchema – target DB `properties`
+ * @returns {{ ok: boolean, errors: Array, warnings: Array, checks: Array }}
+ */
+function validateMap(map, sourceSchema, targetSchema) {
+    const checks = [];
+    const add = (level, subject, message) => checks.push({ level, subject, message });
+
+    const hooks = map.hooks || {};
+    const transforms = map.transforms || {};
+    const produced = new Set();
+
+    // ── mappings: source → target ───────────────────────────────────
+    for (const [srcKey, tgtKey] of Object.entries(map.mappings || {})) {
+        const subject = `${srcKey} → ${tgtKey}`;
+        const src = sourceSchema[srcKey];
+        const tgt = targetSchema[tgtKey];
+        produced.add(tgtKey);
+
+        if (!src) add('error', subject, `source property "${srcKey}" does not exist`);
+        if (!tgt) add('error', subject, `target property "${tgtKey}" does not exist`);
+        if (!src || !tgt) continue;
+        checkWrite(subject, src, tgt, tgtKey);
+    }
+
+    // ── virtual fields ──────────────────────────────────────────────
+    for (const tgtKey of map.virtualMappings || []) {
+        const subject = `(virtual) → ${tgtKey}`;
+        produced.add(tgtKey);
+        const tgt = targetSchema[tgtKey];
+        if (!tgt) {
+            add('error', subject, `target property "${tgtKey}" does not exist`);
+        } else if (!hooks[tgtKey] && !transforms[tgtKey]) {
+            add('error', subject, 'no hook or transform – the field would be skipped');
+        } else {
+            checkWrite(subject, null, tgt, tgtKey);
+        }
+    }
+
+    // ── hooks that nothing reaches ──────────────────────────────────
+    for (const key of Object.keys(hooks)) {
+        if (!produced.has(key)) {
+            add('warn', `hook ${key}`, 'is never called – no mapping or virtual field targets this name');
+        }
+    }
+
+    // ── coverage of the target ──────────────────────────────────────
+    const title = Object.entries(targetSchema).find(([, p]) => p.type === 'title')?.[0];
+    const required = new Set([title, ...(map.required || [])].filter(Boolean));
+    for (const name of required) {
+        if (!targetSchema[name]) {
+            add('error', `required ${name}`, 'is listed as required but does not exist in the target');
+        } else if (!produced.has(name)) {
+            add('error', `required ${name}`, 'is not produced by any mapping');
+        }
+    }
+    for (const [name, prop] of Object.entries(targetSchema)) {
+        if (!produced.has(name) && !required.has(name) && !READ_ONLY_TYPES.has(prop.type)) {
+            add('ok', `unmapped ${name}`, `(${prop.type}) left untouched`);
+        }
+    }
+
+    const errors = checks.filter(c => c.level === 'error');
+    const warnings = checks.filter(c => c.level === 'warn');
+    return { ok: errors.length === 0, errors, warnings, checks };
+
+    // Checks one write into `tgt` (src null for virtual fields)
+    function checkWrite(subject, src, tgt, tgtKey) {
+        const srcType = src?.type || null;
+        if (READ_ONLY_TYPES.has(tgt.type)) {
+            add('error', subject, `target is a ${tgt.type} property and cannot be written`);
+            return;
+        }
+
+        if (hooks[tgtKey]) {
+            if (transforms[tgtKey]) add('warn', subject, `hook overrides transform ${transforms[tgtKey].name}`);
+            add('ok', subject, `hook (${srcType || 'virtual'} → ${tgt.type}, output not checked)`);
+            return;
+        }
+
+        const t = transforms[tgtKey];
+        if (t) {
+            const sig = signatures[t.name];
+            const fit = coercibility(sig.output, tgt.type);
+            if (fit === 'impossible') {
+                add('error', subject, `${t.name} writes ${sig.output} but the target is ${tgt.type}`);
+            } else if (srcType && sig.accepts && !sig.accepts.includes(srcType)) {
+                add('error', subject, `${t.name} cannot read a ${srcType} source (accepts ${sig.accepts.join(', ')})`);
+            } else if (!srcType && sig.accepts && !t.options.names && !t.options.roles) {
+                add('error', subject, `${t.name} needs a source value; virtual fields get none`);
+            } else if (fit === 'lossy') {
+                add('warn', subject, `${t.name} writes ${sig.output}; coercing into ${tgt.type} may lose data`);
+            } else {
+                add('ok', subject, `${t.name} (${srcType || 'virtual'} → ${tgt.type})`);
+            }
+            if (t.options.translate) checkTranslation(subject, src, tgt, t.options.translate);
+            return;
+        }
+
+        // plain copy writes { [sourceType]: value }, coerced to the target type
+        if (srcType !== tgt.type) {
+            const fit = coercibility(srcType, tgt.type);
+            if (fit === 'impossible') {
+                add('error', subject, `no coercion from ${srcType} into ${tgt.type} – add a transform or hook`);
+            } else if (fit === 'lossy') {
+                add('warn', subject, `coerced ${srcType} → ${tgt.type} (lossy)`);
+            } else {
+                add('ok', subject, `coerced ${srcType} → ${tgt.type}`);
+            }
+            return;
+        }
+        if (['select', 'multi_select', 'status'].includes(srcType)) {
+            add('warn', subject, `plain copy carries source option IDs; prefer ${srcType === 'status' ? 'status_by_name' : srcType === 'select' ? 'select_by_name' : 'multi_select_by_name'}`);
+        } else if (srcType === 'relation' && src.relation?.database_id !== tgt.relation?.database_id) {
+            add('error', subject, 'plain copy of a relation into a different database – use relation_via_links:<type>');
+        } else if (srcType === 'people') {
+            add('warn', subject, 'plain copy of people only works when both DBs share workspace members');
+        } else {
+            add('ok', subject, `copy (${srcType})`);
+        }
+    }
+
+    // Source options the table misses, and translated names the target lacks
+    function checkTranslation(subject, src, tgt, table) {
+        const sourceOptions = (src?.[src.type]?.options || []).map(o => o.name);
+        const unmapped = sourceOptions.filter(name => !Object.prototype.hasOwnProperty.call(table.map, name));
+        if (unmapped.length) {
+            const fate = !('default' in table) ? 'pass through' : table.default === null ? 'are dropped' : `go to "${table.default}"`;
+            add('warn', subject, `translation misses ${unmapped.map(n => `"${n}"`).join(', ')} – they ${fate}`);
+        }
+        if (tgt.type !== 'status') return; // select options can be provisioned
+        const targetOptions = new Set((tgt.status.options || []).map(o => o.name));
+        const written = [...Object.values(table.map), ...('default' in table ? [table.default] : [])];
+        const missing = [...new Set(written.filter(name => name !== null && !targetOptions.has(name)))];
+        if (missing.length) {
+            add('error', subject, `translation writes ${missing.map(n => `"${n}"`).join(', ')}, not status options of the target`);
+        }
+    }
+}
+
+module.exports = { validateMap };
@@ -0,0 +1,27 @@
+// transformations/schema_cache.js
+// ------------------------------
+// Database schemas (databases.retrieve → properties), fetched once per DB per
+// process. Concurrent callers share the same in-flight request.
+
+const notion = require('../services/notion_client');
+
+const cache = new Map(); // dbId → Promise<properties>
+
+/**
+ * @param {string} dbId
+ * @returns {Promise<Object>} the database's `properties` keyed by name
+ */
+function getSchema(dbId) {
+    if (!cache.has(dbId)) {
+        const pending = notion.databases.retrieve({ database_id: dbId })
+            .then(db => db.properties)
+            .catch(err => {
+                cache.delete(dbId); // let the next caller retry
+                throw err;
+            });
+        cache.set(dbId, pending);
+    }
+    return cache.get(dbId);
+}
+
+module.exports = { getSchema };
@@ -2,29 +2,30 @@
 // -----------------------------------
 // Builds a task payload (properties, icon, cover, raw block tree).
 // **No writing or media work happens here anymore.**
+//
+// Per target property: JS hook > declarative transform (map.transforms, see
+// map_loader.js) > plain copy of the source value. When the target DB is
+// known, every value is then coerced to the target property's type.
 
-const notion  = require('../services/notion_client');
-
-/* ── internal helper ──────────────────────────────────────────────── */
-async function fetchBlockTree(blockId) {
-    let cursor, out = [];
-    do {
-        const res = await notion.blocks.children.list({ block_id: blockId, page_size: 100, start_cursor: cursor });
-        const expanded = await Promise.all(
-            res.results.map(async blk => blk.has_children
-                ? { ...blk, children: await fetchBlockTree(blk.id) }
-                : blk)
-        );
-        out.push(...expanded);
-        cursor = res.has_more ? res.next_cursor : undefined;
-    } while (cursor);
-    return out;
-}
+const { fetchBlockTree } = require('../services/fetch_blocks');
+const { applyTransform, getLinkStore } = require('./transforms');
+const { rewritePageLinks } = require('../services/page_link_rewriter');
+const { coerce } = require('./coerce');
+const { getSchema } = require('./schema_cache');
+const defaultLogger = require('../logging/logger');
 
 /* ── main transform function ─────────────────────────────────────── */
-module.exports = async function transform(page, map, logger) {
+/**
+ * @param {Object} page    – source page
+ * @param {Object} map     – task map (see map_loader.js)
+ * @param {Object} [logger]
+ * @param {Object} [ctx]   – { targetDbId, targetSchema }; with a target DB (or
+ *                           its schema) values are coerced to its types
+ */
+module.exports = async function transform(page, map, logger, { targetDbId, targetSchema } = {}) {
     const result = { properties: {} };
     logger?.trace({ pageId: page?.id }, 'Entering transform() in task_transformer.js');
+    const ctx = targetKey => ({ logger: logger || defaultLogger, page, targetKey });
 
     logger?.trace('Running direct and hooked field mappings');
     // ── 1. DIRECT & HOOKED FIELD MAPPINGS ────────────────────────────
@@ -33,7 +34,12 @@ module.exports = async function transform(page, map, logger) {
         if (srcVal == null) continue;
 
         if (map.hooks?.[tgtKey]) {
-            result.properties[tgtKey] = await map.hooks[tgtKey](srcVal);
+            result.properties[tgtKey] = await map.hooks[tgtKey](srcVal, ctx(tgtKey));
+            continue;
+        }
+
+        if (map.transforms?.[tgtKey]) {
+            result.properties[tgtKey] = await applyTransform(map.transforms[tgtKey], srcVal, ctx(tgtKey));
             continue;
         }
 
@@ -50,13 +56,25 @@ module.exports = async function transform(page, map, logger) {
     if (Array.isArray(map.virtualMappings)) {
         for (const vKey of map.virtualMappings) {
             if (map.hooks?.[vKey]) {
-                result.properties[vKey] = await map.hooks[vKey]();
+                result.properties[vKey] = await map.hooks[vKey](undefined, ctx(vKey));
+            } else if (map.transforms?.[vKey]) {
+                result.properties[vKey] = await applyTransform(map.transforms[vKey], undefined, ctx(vKey));
             } else {
                 logger.warn(`⚠️ No hook for virtual field "${vKey}" – skipping`);
             }
         }
     }
 
+    // ── 2b. TYPE COERCION ───────────────────────────────────────────
+    const schema = targetSchema || (targetDbId && await getSchema(targetDbId));
+    if (schema) {
+        logger?.trace('Coercing values to target property types');
+        for (const [key, value] of Object.entries(result.properties)) {
+            if (value === undefined || !schema[key]) continue;
+            result.properties[key] = coerce(value, schema[key].type, { logger: logger || defaultLogger, targetKey: key });
+        }
+    }
+
     logger?.trace('Running optional post-process step');
     // ── 3. OPTIONAL POST-PROCESS ─────────────────────────────────────
     if (typeof map.postProcess === 'function') {
@@ -72,6 +90,18 @@ module.exports = async function transform(page, map, logger) {
     // ── 5. BLOCK TREE (raw) ──────────────────────────────────────────
     if (!map?.options?.skipBlocks) {
         result.children = await fetchBlockTree(page.id); // leave sanitizing/media to write_task.js
+
+        // page mentions / link_to_page → migrated targets (options.pageLinks.fallback)
+        const pageLinks = {
+            linkStore: getLinkStore(logger || defaultLogger),
+            fallback:  map.options?.pageLinks?.fallback || 'text'
+        };
+        result.children = await rewritePageLinks(result.children, { ...pageLinks, logger: logger || defaultLogger });
+        // same options for bodies write_task.js fetches itself (inline database rows)
+        result.pageLinks = pageLinks;
+
+        // sanitizer rules for write_task.js (options.sanitizer: { enable, disable })
+        if (map.options?.sanitizer) result.sanitizer = map.options.sanitizer;
     }
 
     logger?.trace({ pageId: page?.id }, 'Exiting transform() in task_transformer.js');
@@ -0,0 +1,283 @@
+// transformations/transforms.js
+// -----------------------------
+// Built-in property transforms for declarative maps (see map_loader.js).
+// Each transform turns a source property value into a target property value:
+//
+//   (sourceValue, options, ctx) => Promise<propertyValue>
+//
+// sourceValue is undefined for virtual fields. ctx carries { logger, page,
+// targetKey } plus lazily created shared services (linkStore).
+//
+// Parametrised transforms take their argument after a colon, e.g.
+// `relation_via_links:tags` looks relations up under the "tags" link type.
+//
+// The *_by_name transforms also take `aliases` (plain renames) and `translate`
+// (a value table { map, default } – see map_loader.js), warning on source
+// values the table doesn't list.
+
+const path = require('path');
+const createLinkStore = require('../services/create_link_store');
+const { IdentityMap } = require('../services/identity_map');
+const { stateDir } = require('../services/state_dirs');
+
+const LINKS_DIR = stateDir('links');
+const MAPS_DIR = path.resolve(__dirname, 'maps');
+const DEFAULT_IDENTITIES = 'identities.yaml';
+
+// One LinkStore per process, created on first use so loading a map has no
+// side effects.
+let sharedLinkStore = null;
+function getLinkStore(logger) {
+    if (!sharedLinkStore) sharedLinkStore = createLinkStore(LINKS_DIR, logger);
+    return sharedLinkStore;
+}
+
+// Identity maps by file, each initialised (users.list) once per process
+const identityMaps = new Map();
+function getIdentityMap(file, logger) {
+    const resolved = path.resolve(MAPS_DIR, file || DEFAULT_IDENTITIES);
+    if (!identityMaps.has(resolved)) {
+        const pending = IdentityMap.load(resolved, { logger }).init().catch(err => {
+            identityMaps.delete(resolved); // let the next page retry
+            throw err;
+        });
+        identityMaps.set(resolved, pending);
+    }
+    return identityMaps.get(resolved);
+}
+
+/**
+ * Throws unless every role is set in the identity file, so a map writing a
+ * role never silently empties the property. Reads the file only (no users.list).
+ * @param {Array<string>} roles
+ * @param {string} [file] – identity file under transformations/maps
+ */
+function assertRolesSet(roles, file) {
+    const resolved = path.resolve(MAPS_DIR, file || DEFAULT_IDENTITIES);
+    const unset = IdentityMap.load(resolved).unsetRoles(roles);
+    if (unset.length) {
+        throw new Error(`role ${unset.join(', ')} is not set in ${path.basename(resolved)} (or its env variable is empty)`);
+    }
+}
+
+/* ── helpers ───────────────────────────────────────────────────────── */
+/** Option / status / text names carried by a source value, in order. */
+function namesOf(value) {
+    if (!value) return [];
+    switch (value.type) {
+        case 'select':
+        case 'status':
+            return value[value.type]?.name ? [value[value.type].name] : [];
+        case 'multi_select':
+            return (value.multi_select || []).map(opt => opt.name).filter(Boolean);
+        case 'title':
+        case 'rich_text': {
+            const text = (value[value.type] || []).map(rt => rt.plain_text).join('').trim();
+            return text ? [text] : [];
+        }
+    }
+    // untyped shapes (e.g. hand-built values)
+    if (value.select?.name) return [value.select.name];
+    if (value.status?.name) return [value.status.name];
+    if (Array.isArray(value.multi_select)) return value.multi_select.map(opt => opt.name).filter(Boolean);
+    return [];
+}
+
+function applyAliases(names, aliases) {
+    if (!aliases) return names;
+    return names.map(name => (Object.prototype.hasOwnProperty.call(aliases, name) ? aliases[name] : name));
+}
+
+/**
+ * One name through a translation table { map, default }. A null in `map` or
+ * `default` drops the value; without `default` unmapped names pass through.
+ * @returns {{ name: string|null, unmapped: boolean }}
+ */
+function translateName(name, table) {
+    if (Object.prototype.hasOwnProperty.call(table.map, name)) return { name: table.map[name], unmapped: false };
+    if (Object.prototype.hasOwnProperty.call(table, 'default')) return { name: table.default, unmapped: true };
+    return { name, unmapped: true };
+}
+
+// aliases, then the translation table (warning on values it doesn't list)
+function translateNames(names, opts, ctx) {
+    const aliased = applyAliases(names, opts.aliases);
+    if (!opts.translate) return aliased;
+    const out = [];
+    for (const name of aliased) {
+        const { name: translated, unmapped } = translateName(name, opts.translate);
+        if (unmapped) {
+            ctx.logger.warn(
+                { event: 'value_unmapped', targetKey: ctx.targetKey, value: name, pageId: ctx.page?.id },
+                `⚠️ ${ctx.targetKey}: "${name}" is not in the translation table – ` +
+                (translated === null ? 'dropping' : translated === name ? 'passing through' : `using default "${translated}"`)
+            );
+        }
+        if (translated !== null && !out.includes(translated)) out.push(translated);
+    }
+    return out;
+}
+
+/* ── built-ins ─────────────────────────────────────────────────────── */
+const builtins = {
+    // select/status/first multi_select name → select (option IDs differ per DB)
+    select_by_name: async (value, opts, ctx) => {
+        const [name] = translateNames(namesOf(value), opts, ctx);
+        return { select: name ? { name } : null };
+    },
+
+    status_by_name: async (value, opts, ctx) => {
+        const [name] = translateNames(namesOf(value), opts, ctx);
+        return { status: name ? { name } : null };
+    },
+
+    multi_select_by_name: async (value, opts, ctx) => ({
+        multi_select: translateNames(namesOf(value), opts, ctx).map(name => ({ name }))
+    }),
+
+    select_to_multi_select: async (value, opts, ctx) => ({
+        multi_select: translateNames(namesOf(value), opts, ctx).slice(0, 1).map(name => ({ name }))
+    }),
+
+    // options.values: names always written (e.g. a provenance label)
+    constant_multi_select: async (value, opts) => ({
+        multi_select: (opts.values || []).map(name => ({ name }))
+    }),
+
+    // Source relation → target pages migrated under link type <arg>.
+    //   by: id (default)  – follow the source relation's page IDs
+    //   by: name          – look up option / title names as sourcePageName
+    //   names: [...]      – constant names (for virtual fields)
+    relation_via_links: async (value, opts, ctx) => {
+        const linkType = opts.arg;
+        const linkStore = ctx.linkStore;
+        const relation = [];
+        const seen = new Set();
+        const push = (link, label) => {
+            if (link?.status === 'success' && link.targetId) {
+                if (!seen.has(link.targetId)) relation.push({ id: link.targetId });
+                seen.add(link.targetId);
+            } else {
+                ctx.logger.warn(`⚠️ ${ctx.targetKey}: no successful "${linkType}" link for ${label} – skipping`);
+            }
+        };
+
+        if (opts.names || opts.by === 'name') {
+            const names = applyAliases(opts.names || namesOf(value), opts.aliases);
+            for (const name of names) {
+                push(await linkStore.findBySourcePageName(name, linkType), `"${name}"`);
+            }
+            return { relation };
+        }
+
+        for (const rel of value?.relation || []) {
+            let link = null;
+            try {
+                link = await linkStore.loadIfExists(rel.id, linkType);
+            } catch (err) {
+                ctx.logger.error({ err, sourceId: rel.id }, `❌ ${ctx.targetKey}: cannot read link`);
+            }
+            push(link, `sourceId=${rel.id}`);
+        }
+        return { relation };
+    },
+
+    // options.users: { <source user ID | email | name>: <target user ID> }
+    // options.unmapped: drop (default) | same_id – keep the ID when both
+    // workspaces share members
+    people_via_user_map: async (value, opts, ctx) => {
+        const users = {};
+        for (const [key, id] of Object.entries(opts.users || {})) {
+            users[key.includes('@') ? key.toLowerCase() : key] = id;
+        }
+        const people = [];
+        for (const person of value?.people || []) {
+            const keys = [person.id, person.person?.email?.toLowerCase(), person.name].filter(Boolean);
+            const hit = keys.find(k => Object.prototype.hasOwnProperty.call(users, k));
+            if (hit) {
+                people.push({ object: 'user', id: users[hit] });
+            } else if (opts.unmapped === 'same_id') {
+                people.push({ object: 'user', id: person.id });
+            } else {
+                ctx.logger.warn(`⚠️ ${ctx.targetKey}: no user mapping for ${person.name || person.id} – dropping`);
+            }
+        }
+        return { people };
+    },
+
+    // Source people → CENT users via the identity map (see services/identity_map.js):
+    // identity entries, then members by email, then the guest / bot fallback.
+    //   identities: file under transformations/maps (default identities.yaml)
+    //   roles: [...]  – named users from the identity map (for virtual fields)
+    people_by_email: async (value, opts, ctx) => {
+        const identities = await (ctx.identityMap || getIdentityMap(opts.identities, ctx.logger));
+        const people = [];
+        const add = id => {
+            if (id && !people.some(p => p.id === id)) people.push({ object: 'user', id });
+        };
+
+        const sources = value?.people || [value?.created_by, value?.last_edited_by].filter(Boolean);
+        for (const person of sources) {
+            const { id, via } = identities.resolve(person);
+            if (!id) {
+                ctx.logger.warn(
+                    { event: 'person_unmapped', targetKey: ctx.targetKey, userId: person.id, via },
+                    `⚠️ ${ctx.targetKey}: no CENT user for ${person.name || person.id} (${via}) – dropping`
+                );
+            }
+            add(id);
+        }
+        if (value?.type === 'email' && value.email) {
+            add(identities.resolve({ person: { email: value.email } }).id);
+        }
+        for (const role of opts.roles || []) add(identities.resolveRole(role));
+        return { people };
+    }
+};
+
+// What each built-in reads and writes, for map validation.
+// accepts: source property types the transform understands (null = none needed)
+const NAME_SOURCES = ['select', 'status', 'multi_select', 'title', 'rich_text'];
+const signatures = {
+    select_by_name:         { output: 'select',       accepts: NAME_SOURCES },
+    status_by_name:         { output: 'status',       accepts: NAME_SOURCES },
+    multi_select_by_name:   { output: 'multi_select', accepts: NAME_SOURCES },
+    select_to_multi_select: { output: 'multi_select', accepts: ['select', 'status'] },
+    constant_multi_select:  { output: 'multi_select', accepts: null },
+    relation_via_links:     { output: 'relation',     accepts: ['relation', ...NAME_SOURCES] },
+    people_via_user_map:    { output: 'people',       accepts: ['people', 'created_by', 'last_edited_by'] },
+    people_by_email:        { output: 'people',       accepts: ['people', 'created_by', 'last_edited_by', 'email'] }
+};
+
+/**
+ * Parse "name:arg" and check the transform exists.
+ * @param {string} spec
+ * @returns {{ name: string, arg: string|undefined }}
+ */
+function parseTransform(spec) {
+    const [name, ...rest] = String(spec).split(':');
+    if (!builtins[name]) {
+        throw new Error(`Unknown transform "${name}" (available: ${Object.keys(builtins).join(', ')})`);
+    }
+    const arg = rest.length ? rest.join(':') : undefined;
+    if (name === 'relation_via_links' && !arg) {
+        throw new Error('relation_via_links needs a link type, e.g. relation_via_links:tags');
+    }
+    return { name, arg };
+}
+
+/**
+ * Run a compiled transform ({ name, arg, options }) on a source value.
+ * @param {Object} transform
+ * @param {Object|undefined} sourceValue
+ * @param {Object} ctx – { logger, page, targetKey }
+ */
+async function applyTransform(transform, sourceValue, ctx) {
+    const fullCtx = {
+        ...ctx,
+        get linkStore() { return ctx.linkStore || getLinkStore(ctx.logger); }
+    };
+    return builtins[transform.name](sourceValue, { ...transform.options, arg: transform.arg }, fullCtx);
+}
+
+module.exports = { builtins, signatures, parseTransform, applyTransform, namesOf, translateName, getLinkStore, getIdentityMap, assertRolesSet };